@@ -1,7 +1,49 @@
 // Background service worker for script injection
 
+importScripts('storage.js', 'idb.js', 'images.js', 'sync.js', 'backups.js');
+
 console.log('Site Launcher background service worker loaded');
 
+// Upgrade stored data when the extension is installed or updated
+chrome.runtime.onInstalled.addListener(() => {
+    migrateStorage().catch(error => {
+        console.error('Storage migration failed:', error);
+    });
+    scheduleBackupAlarm().catch(error => {
+        console.error('Scheduling backups failed:', error);
+    });
+});
+
+// ========== Scheduled Backups ==========
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === BACKUP_ALARM_NAME) {
+        createBackup('scheduled').catch(error => {
+            console.error('Scheduled backup failed:', error);
+        });
+    }
+});
+
+// Alarms usually survive restarts, but make sure one exists if backups are on
+chrome.runtime.onStartup.addListener(() => {
+    chrome.alarms.get(BACKUP_ALARM_NAME)
+        .then(alarm => (alarm ? null : scheduleBackupAlarm()))
+        .catch(error => {
+            console.error('Scheduling backups failed:', error);
+        });
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.backupSettings) {
+        scheduleBackupAlarm().catch(error => {
+            console.error('Scheduling backups failed:', error);
+        });
+        rotateBackups().catch(error => {
+            console.error('Rotating backups failed:', error);
+        });
+    }
+});
+
 // Track previous URLs for navigation detection
 const tabPreviousUrls = new Map();
 // Track if page was refreshed (navigation type)
@@ -390,12 +432,13 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
         // If we're navigating away from a domain, check for navigating_out scripts
         if (previousHostname && previousHostname !== currentHostname) {
             try {
+                await migrateStorage();
                 const result = await chrome.storage.local.get(['globalScripts']);
                 const globalScripts = result.globalScripts || [];
                 
                 // Check for scripts that should run on navigating out
                 for (const globalScript of globalScripts) {
-                    if (globalScript.whenToRun !== 'navigating_out') {
+                    if (globalScript.whenToRun !== 'navigating_out' || !globalScript.domainPattern) {
                         continue;
                     }
                     
@@ -467,6 +510,7 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
         tabNavigationPreviousUrls.delete(tabId);
         
         // Get all sites and global scripts from storage
+        await migrateStorage();
         const result = await chrome.storage.local.get(['sites', 'globalScripts']);
         const sites = result.sites || [];
         const globalScripts = result.globalScripts || [];
@@ -492,7 +536,7 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
             for (const script of matchingSite.scripts) {
                 // Check if script should run
                 // If runAlways is false, only run if opened via launcher
-                // If runAlways is true (or undefined for backward compatibility), always run
+                // (a script without the flag always runs, as migrateData() and normalizeData() make explicit)
                 const shouldRun = script.runAlways !== false || openedViaLauncher;
                 
                 if (!shouldRun) {
@@ -520,6 +564,11 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
         
         // ========== Handle Global Scripts ==========
         for (const globalScript of globalScripts) {
+            // Broken records without a pattern can't match anything (the integrity check offers to remove them)
+            if (!globalScript.domainPattern) {
+                continue;
+            }
+            
             // Check if URL matches the domain pattern
             // Use full URL (hostname + path) if pattern contains path, otherwise use hostname only
             const patternHasPath = globalScript.domainPattern.includes('/');
@@ -0,0 +1,131 @@
+// Automatic local backups
+// Loaded by newtab.html and by background.js via importScripts(), after storage.js and idb.js
+//
+// A backup is the export payload (buildExportPayload) kept in IndexedDB together with a short summary.
+// The service worker takes one on a chrome.alarms schedule; the launcher takes one before destructive
+// operations (replace imports, deleting folders or workspaces, restoring a backup).
+// Old backups are rotated out according to backupSettings.
+
+const BACKUP_DATABASE = { name: 'site-launcher-backups', version: 1, storeName: 'backups' };
+const BACKUP_LOCK_NAME = 'site-launcher-backups';
+const BACKUP_ALARM_NAME = 'site-launcher-backup';
+// Bumped whenever backups are added or deleted - IndexedDB has no change events for open launchers to watch
+const BACKUPS_CHANGED_KEY = 'backupsChangedAt';
+
+const DEFAULT_BACKUP_SETTINGS = {
+    // Minutes between scheduled backups, 0 turns them off
+    intervalMinutes: 24 * 60,
+    // How many backups to keep, and for how long (0 = no age limit)
+    keepCount: 10,
+    maxAgeDays: 30
+};
+
+const BACKUP_REASON_LABELS = {
+    scheduled: 'Scheduled backup',
+    manual: 'Manual backup',
+    'before-import': 'Before import',
+    'before-delete': 'Before delete',
+    'before-restore': 'Before restore'
+};
+
+// Run a single request against the backup store and resolve with its result
+function runBackupRequest(mode, createRequest) {
+    return runIndexedDatabaseRequest(BACKUP_DATABASE, mode, createRequest);
+}
+
+async function getBackupSettings() {
+    const result = await chrome.storage.local.get(['backupSettings']);
+    return { ...DEFAULT_BACKUP_SETTINGS, ...(result.backupSettings || {}) };
+}
+
+// What a payload contains, for the backup list
+function summarizeExportPayload(payload) {
+    const data = payload.data || {};
+    const sites = data.sites || [];
+    const workspaces = data.workspaces || [];
+    const folderIds = new Set(sites.filter(s => s.parentId).map(s => s.parentId));
+
+    return {
+        sites: sites.length,
+        folders: sites.filter(s => folderIds.has(s.id)).length,
+        globalScripts: (data.globalScripts || []).length,
+        workspaces: workspaces.length + 1,
+        otherWorkspaceSites: workspaces.reduce((sum, w) => sum + (w.sites || []).length, 0)
+    };
+}
+
+// Newest first, without the payloads
+async function listBackups() {
+    const records = await runBackupRequest('readonly', store => store.getAll());
+    return (records || [])
+        .map(({ payload, ...backup }) => backup)
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function getBackup(id) {
+    return runBackupRequest('readonly', store => store.get(id));
+}
+
+async function deleteBackup(id) {
+    await runBackupRequest('readwrite', store => store.delete(id));
+    await notifyBackupsChanged();
+}
+
+function notifyBackupsChanged() {
+    return chrome.storage.local.set({ [BACKUPS_CHANGED_KEY]: Date.now() });
+}
+
+// Snapshot the current data
+// Scheduled backups are skipped when nothing changed since the newest backup
+function createBackup(reason, label = '') {
+    return withStorageLock(BACKUP_LOCK_NAME, async () => {
+        const payload = await buildExportPayload();
+        const content = JSON.stringify(payload.data);
+
+        if (reason === 'scheduled') {
+            const [latest] = await listBackups();
+            const latestBackup = latest ? await getBackup(latest.id) : null;
+            if (latestBackup && JSON.stringify(latestBackup.payload.data) === content) {
+                return null;
+            }
+        }
+
+        const backup = {
+            id: generateUniqueId(),
+            createdAt: Date.now(),
+            reason,
+            label: label || BACKUP_REASON_LABELS[reason] || reason,
+            summary: summarizeExportPayload(payload),
+            size: content.length,
+            payload
+        };
+        await runBackupRequest('readwrite', store => store.put(backup));
+        await notifyBackupsChanged();
+        await rotateBackups();
+        return backup.id;
+    });
+}
+
+// Drop backups beyond the retention policy; the newest one is always kept
+async function rotateBackups() {
+    const { keepCount, maxAgeDays } = await getBackupSettings();
+    const backups = await listBackups();
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+
+    const expired = backups.filter((backup, index) => index > 0 && (index >= keepCount || backup.createdAt < cutoff));
+    for (const backup of expired) {
+        await deleteBackup(backup.id);
+    }
+}
+
+// (Re)create the alarm for scheduled backups - called by the service worker
+async function scheduleBackupAlarm() {
+    const { intervalMinutes } = await getBackupSettings();
+    await chrome.alarms.clear(BACKUP_ALARM_NAME);
+    if (intervalMinutes > 0) {
+        await chrome.alarms.create(BACKUP_ALARM_NAME, {
+            delayInMinutes: intervalMinutes,
+            periodInMinutes: intervalMinutes
+        });
+    }
+}
@@ -0,0 +1,267 @@
+// Bookmark import and export
+// Loaded by newtab.html after storage.js and integrity.js
+//
+// Bookmarks come from a Netscape bookmark file (bookmarks.html, what browsers and link managers
+// exchange) or from Chrome's own bookmark tree. Both are read into the same tree of entries first.
+// The launcher only nests one level deep, so a bookmark folder becomes a folder site holding every
+// bookmark below it. A folder site needs a URL of its own: on export it is written as the first
+// bookmark of the folder, under the folder's name, and on import a bookmark named like its folder
+// is taken back as the folder's URL (otherwise the folder opens its first bookmark).
+//
+// Sites imported from Chrome remember the bookmark (bookmarkId) or bookmark folder (bookmarkFolderId)
+// they came from, so importing the same folder again updates it instead of duplicating it.
+
+// Bookmark-bar style containers that are unpacked rather than imported as folders
+const BOOKMARK_ROOT_FOLDER_ATTRIBUTES = ['PERSONAL_TOOLBAR_FOLDER', 'UNFILED_BOOKMARKS_FOLDER'];
+
+function isNetscapeBookmarkFile(text) {
+    return /^\s*<!DOCTYPE\s+NETSCAPE-Bookmark-file-1>/i.test(text);
+}
+
+// Read a <DL> into a tree of { type: 'bookmark', name, url, iconUrl, addDate } and { type: 'folder', name, isRoot, children }
+function readBookmarkList(list) {
+    const entries = [];
+    const items = list.querySelectorAll(':scope > dt, :scope > p > dt');
+
+    items.forEach(item => {
+        const link = item.querySelector(':scope > a');
+        const header = item.querySelector(':scope > h3');
+
+        if (header) {
+            const next = item.nextElementSibling;
+            const childList = item.querySelector(':scope > dl') || (next && next.tagName === 'DL' ? next : null);
+            entries.push({
+                type: 'folder',
+                name: header.textContent.trim(),
+                isRoot: BOOKMARK_ROOT_FOLDER_ATTRIBUTES.some(attribute => header.hasAttribute(attribute)),
+                children: childList ? readBookmarkList(childList) : []
+            });
+        } else if (link) {
+            entries.push({
+                type: 'bookmark',
+                name: link.textContent.trim(),
+                url: (link.getAttribute('href') || '').trim(),
+                iconUrl: link.getAttribute('icon_uri') || '',
+                addDate: parseInt(link.getAttribute('add_date'), 10) || 0
+            });
+        }
+    });
+
+    return entries;
+}
+
+// Read chrome.bookmarks nodes into the same tree as readBookmarkList()
+// The children of the invisible root (Bookmarks bar, Other bookmarks, Mobile bookmarks) are containers
+function readChromeBookmarkNodes(nodes) {
+    return nodes.map(node => {
+        if (node.url) {
+            return {
+                type: 'bookmark',
+                id: node.id,
+                name: (node.title || '').trim(),
+                url: node.url,
+                iconUrl: '',
+                addDate: node.dateAdded ? Math.floor(node.dateAdded / 1000) : 0
+            };
+        }
+        return {
+            type: 'folder',
+            id: node.id,
+            name: (node.title || '').trim(),
+            isRoot: node.parentId === '0',
+            children: readChromeBookmarkNodes(node.children || [])
+        };
+    });
+}
+
+// Keep the bookmarks whose id is selected, and the folders that still hold any
+// A folder that lost some of its bookmarks is no longer linked to the Chrome folder, so re-syncing it
+// can't bring back what wasn't picked
+function filterBookmarkEntries(entries, selectedIds) {
+    return entries.flatMap(entry => {
+        if (entry.type === 'bookmark') {
+            return selectedIds.has(entry.id) ? [entry] : [];
+        }
+        const children = filterBookmarkEntries(entry.children, selectedIds);
+        if (children.length === 0) return [];
+        const complete = JSON.stringify(children) === JSON.stringify(entry.children);
+        return [{ ...entry, id: complete ? entry.id : undefined, children }];
+    });
+}
+
+// Turn a tree of bookmark entries into launcher sites
+// Returns { sites, skipped, flattened } - skipped bookmarks have URLs the launcher can't open
+// (e.g. javascript: or place:), flattened folders were nested deeper than the launcher allows
+function bookmarkEntriesToSites(entries) {
+    const sites = [];
+    let skipped = 0;
+    let flattened = 0;
+
+    const toSite = (bookmark, parentId) => {
+        const site = {
+            id: generateUniqueId(),
+            name: bookmark.name || bookmark.url,
+            url: bookmark.url,
+            createdAt: bookmark.addDate ? bookmark.addDate * 1000 : Date.now()
+        };
+        if (/^https?:\/\//i.test(bookmark.iconUrl)) {
+            site.iconUrl = bookmark.iconUrl;
+        }
+        if (bookmark.id) {
+            site.bookmarkId = bookmark.id;
+        }
+        if (parentId) {
+            site.parentId = parentId;
+        }
+        return site;
+    };
+
+    // Every usable bookmark in a folder and its subfolders, in order
+    const collectBookmarks = (entries) => entries.flatMap(entry => {
+        if (entry.type === 'folder') {
+            flattened++;
+            return collectBookmarks(entry.children);
+        }
+        if (!isSupportedSiteUrl(entry.url)) {
+            skipped++;
+            return [];
+        }
+        return [entry];
+    });
+
+    const addEntries = (entries) => {
+        entries.forEach(entry => {
+            if (entry.type === 'folder' && entry.isRoot) {
+                addEntries(entry.children);
+                return;
+            }
+
+            if (entry.type === 'bookmark') {
+                if (isSupportedSiteUrl(entry.url)) {
+                    sites.push(toSite(entry));
+                } else {
+                    skipped++;
+                }
+                return;
+            }
+
+            const bookmarks = collectBookmarks(entry.children);
+            if (bookmarks.length === 0) return;
+
+            const own = entry.children.find(child => child.type === 'bookmark' && child.name === entry.name && bookmarks.includes(child));
+            const folder = toSite({ ...(own || bookmarks[0]), id: own ? own.id : undefined, name: entry.name || (own || bookmarks[0]).name });
+            if (entry.id) {
+                folder.bookmarkFolderId = entry.id;
+            }
+            sites.push(folder);
+            bookmarks
+                .filter(bookmark => bookmark !== own)
+                .forEach(bookmark => sites.push(toSite(bookmark, folder.id)));
+        });
+    };
+
+    addEntries(entries);
+    return { sites, skipped, flattened };
+}
+
+// Add imported bookmark sites (parents before their children) to the launcher's sites without duplicates
+// Sites linked to the same Chrome bookmark or folder are updated in place (renamed, or a bookmark's new URL),
+// and a site with the same URL in the same place is taken as already there.
+// Returns { sites, added, updated, duplicates }
+function mergeBookmarkSites(existingSites, importedSites) {
+    const sites = existingSites.map(site => ({ ...site }));
+    const idMap = new Map();
+    let added = 0;
+    let updated = 0;
+    let duplicates = 0;
+
+    importedSites.forEach(imported => {
+        const parentId = imported.parentId ? idMap.get(imported.parentId) : undefined;
+
+        // Folders keep their own URL, which the user may have changed
+        const linked = imported.bookmarkFolderId
+            ? sites.find(s => s.bookmarkFolderId === imported.bookmarkFolderId)
+            : imported.bookmarkId && sites.find(s => s.bookmarkId === imported.bookmarkId && !s.bookmarkFolderId);
+        if (linked) {
+            const changes = imported.bookmarkFolderId ? { name: imported.name } : { name: imported.name, url: imported.url };
+            if (Object.keys(changes).some(key => linked[key] !== changes[key])) {
+                Object.assign(linked, changes);
+                updated++;
+            }
+            idMap.set(imported.id, linked.id);
+            return;
+        }
+
+        const duplicate = sites.find(s => s.url === imported.url && (s.parentId || undefined) === parentId);
+        if (duplicate) {
+            idMap.set(imported.id, duplicate.id);
+            duplicates++;
+            return;
+        }
+
+        const site = { ...imported };
+        if (parentId) {
+            site.parentId = parentId;
+        } else {
+            delete site.parentId;
+        }
+        sites.push(site);
+        idMap.set(imported.id, site.id);
+        added++;
+    });
+
+    return { sites, added, updated, duplicates };
+}
+
+function escapeBookmarkHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Write sites as a bookmarks.html file that browsers can import
+function buildNetscapeBookmarks(sites) {
+    const lines = [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<!-- This is an automatically generated file.',
+        '     It will be read and overwritten.',
+        '     DO NOT EDIT! -->',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        '<DL><p>'
+    ];
+
+    const bookmarkLine = (site, indent) => {
+        let attributes = `HREF="${escapeBookmarkHtml(site.url)}"`;
+        if (site.createdAt) {
+            attributes += ` ADD_DATE="${Math.floor(site.createdAt / 1000)}"`;
+        }
+        if (site.iconUrl && site.iconUrl.startsWith('data:')) {
+            attributes += ` ICON="${escapeBookmarkHtml(site.iconUrl)}"`;
+        } else if (site.iconUrl) {
+            attributes += ` ICON_URI="${escapeBookmarkHtml(site.iconUrl)}"`;
+        }
+        return `${indent}<DT><A ${attributes}>${escapeBookmarkHtml(site.name)}</A>`;
+    };
+
+    sites.filter(site => !site.parentId).forEach(site => {
+        const children = sites.filter(s => s.parentId === site.id);
+        if (children.length === 0) {
+            lines.push(bookmarkLine(site, '    '));
+            return;
+        }
+
+        const addDate = site.createdAt ? ` ADD_DATE="${Math.floor(site.createdAt / 1000)}"` : '';
+        lines.push(`    <DT><H3${addDate}>${escapeBookmarkHtml(site.name)}</H3>`);
+        lines.push('    <DL><p>');
+        lines.push(bookmarkLine(site, '        '));
+        children.forEach(child => lines.push(bookmarkLine(child, '        ')));
+        lines.push('    </DL><p>');
+    });
+
+    lines.push('</DL><p>');
+    return lines.join('\n') + '\n';
+}
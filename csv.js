@@ -0,0 +1,210 @@
+// CSV / TSV import and export of sites
+// Loaded by newtab.html after storage.js and integrity.js
+//
+// A site list is one row per site with name, URL, icon URL and the name of its folder.
+// Import maps the file's columns to those fields first, then checks every row on its own so one
+// bad row is reported (by its line in the spreadsheet) instead of failing the whole file.
+
+const CSV_FIELDS = {
+    name: 'Name',
+    url: 'URL',
+    iconUrl: 'Icon URL',
+    folder: 'Folder'
+};
+
+// Header words that identify each field, for guessing the mapping
+const CSV_FIELD_HEADERS = {
+    name: ['name', 'title', 'label', 'tool'],
+    url: ['url', 'link', 'address', 'href', 'website'],
+    iconUrl: ['icon', 'iconurl', 'icon_url', 'favicon', 'logo'],
+    folder: ['folder', 'parent', 'group', 'category', 'section']
+};
+
+// Tabs win over semicolons over commas, judged by the first line
+function detectCsvDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const count = (char) => firstLine.split(char).length - 1;
+    if (count('\t') > 0 && count('\t') >= count(',')) return '\t';
+    if (count(';') > count(',')) return ';';
+    return ',';
+}
+
+// Split delimited text into rows of cells, handling quoted cells with delimiters, quotes and line breaks
+function parseDelimitedText(text, delimiter = detectCsvDelimiter(text)) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Blank lines carry nothing
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Guess which column holds which field from the header row - { field: columnIndex or -1 }
+function guessCsvColumnMapping(headers) {
+    const normalized = headers.map(header => header.trim().toLowerCase().replace(/[\s-]+/g, ''));
+    const mapping = {};
+    const used = new Set();
+    // Icon and folder first, so "Icon URL" isn't taken for the URL or "Folder name" for the name
+    ['iconUrl', 'url', 'folder', 'name'].forEach(field => {
+        const index = normalized.findIndex((header, i) => !used.has(i) && CSV_FIELD_HEADERS[field].some(word => header.includes(word)));
+        mapping[field] = index;
+        if (index !== -1) used.add(index);
+    });
+    return mapping;
+}
+
+// Turn mapped rows into sites
+// existingSites lets a folder name refer to a folder the launcher already has.
+// Row numbers in errors count the header row, as a spreadsheet shows them.
+// Returns { sites, errors: [{ row, message }] }
+function csvRowsToSites(rows, mapping, options = {}) {
+    const { hasHeader = true, existingSites = [] } = options;
+    const firstRow = hasHeader ? 1 : 0;
+    const errors = [];
+    const entries = [];
+
+    const cellAt = (row, field) => (mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '');
+
+    rows.slice(firstRow).forEach((row, index) => {
+        const rowNumber = index + firstRow + 1;
+        const name = cellAt(row, 'name');
+        let url = cellAt(row, 'url');
+        let iconUrl = cellAt(row, 'iconUrl');
+        const folder = cellAt(row, 'folder');
+
+        if (!url) {
+            errors.push({ row: rowNumber, message: 'URL is empty' });
+            return;
+        }
+        if (!isSupportedSiteUrl(url)) {
+            const fixed = getFixedSiteUrl(url);
+            if (!fixed) {
+                errors.push({ row: rowNumber, message: `"${url}" is not a valid URL` });
+                return;
+            }
+            url = fixed;
+        }
+        if (iconUrl && !/^(https?:|data:)/i.test(iconUrl)) {
+            iconUrl = getFixedSiteUrl(iconUrl) || '';
+            if (!iconUrl) {
+                errors.push({ row: rowNumber, message: `icon URL "${cellAt(row, 'iconUrl')}" is not a valid URL` });
+                return;
+            }
+        }
+        if (folder && folder === name) {
+            errors.push({ row: rowNumber, message: `"${name}" can't be inside itself` });
+            return;
+        }
+
+        entries.push({ rowNumber, name: name || new URL(url).hostname || url, url, iconUrl, folder });
+    });
+
+    // A folder is a row with that name, a folder the launcher has, or else made from its first site
+    const sites = [];
+    const folderIds = new Map();
+    const now = Date.now();
+    const topLevelEntries = entries.filter(entry => !entry.folder);
+    const existingTopLevel = existingSites.filter(site => !site.parentId);
+
+    const getFolderId = (folderName, firstChild) => {
+        if (folderIds.has(folderName)) return folderIds.get(folderName);
+
+        const row = topLevelEntries.find(entry => entry.name === folderName);
+        const existing = existingTopLevel.find(site => site.name === folderName);
+        let folderId;
+        if (row) {
+            folderId = row.id;
+        } else if (existing) {
+            // The same record, so the import matches it instead of adding a second folder
+            sites.unshift({ ...existing });
+            folderId = existing.id;
+        } else {
+            folderId = generateUniqueId();
+            sites.push({ id: folderId, name: folderName, url: firstChild.url, createdAt: now });
+        }
+        folderIds.set(folderName, folderId);
+        return folderId;
+    };
+
+    entries.forEach(entry => {
+        entry.id = generateUniqueId();
+    });
+    entries.forEach(entry => {
+        if (entry.folder && entries.some(other => other.name === entry.folder && other.folder)) {
+            errors.push({ row: entry.rowNumber, message: `folder "${entry.folder}" is itself inside a folder, and folders can't be nested` });
+            return;
+        }
+
+        const site = { id: entry.id, name: entry.name, url: entry.url, createdAt: now };
+        if (entry.iconUrl) {
+            site.iconUrl = entry.iconUrl;
+        }
+        if (entry.folder) {
+            site.parentId = getFolderId(entry.folder, entry);
+        }
+        sites.push(site);
+    });
+
+    // Folders before their sites, which the import preview relies on to keep the nesting
+    const parentIds = new Set(sites.map(site => site.parentId).filter(Boolean));
+    const ordered = [...sites.filter(site => parentIds.has(site.id)), ...sites.filter(site => !parentIds.has(site.id))];
+    errors.sort((a, b) => a.row - b.row);
+    return { sites: ordered, errors };
+}
+
+function escapeCsvCell(value, delimiter) {
+    const text = String(value ?? '');
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write the site tree as CSV - each folder first, followed by its sites
+function buildSitesCsv(sites, delimiter = ',') {
+    const sitesById = new Map(sites.map(site => [site.id, site]));
+    const lines = [['name', 'url', 'icon_url', 'folder']];
+
+    sites.filter(site => !site.parentId).forEach(site => {
+        lines.push([site.name, site.url, site.iconUrl || '', '']);
+        sites.filter(child => child.parentId === site.id).forEach(child => {
+            lines.push([child.name, child.url, child.iconUrl || '', site.name]);
+        });
+    });
+    // Sites in a folder that no longer exists still get exported, at the top level
+    sites.filter(site => site.parentId && !sitesById.has(site.parentId)).forEach(site => {
+        lines.push([site.name, site.url, site.iconUrl || '', '']);
+    });
+
+    return lines.map(cells => cells.map(cell => escapeCsvCell(cell, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,84 @@
+// Passphrase-encrypted exports
+// Loaded by newtab.html
+//
+// An encrypted export is a JSON envelope around the normal export payload. The key is derived
+// from the passphrase with PBKDF2 and the payload is sealed with AES-GCM, so a wrong passphrase
+// or a modified file fails to decrypt instead of producing garbage.
+
+const ENCRYPTED_EXPORT_FORMAT = 'site-launcher-encrypted';
+const ENCRYPTION_KDF_ITERATIONS = 310000;
+// Iteration counts accepted from a file - more would hang the page while the key is derived
+const MAX_ENCRYPTION_KDF_ITERATIONS = 2000000;
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    // Chunked, since spreading a large array into fromCharCode overflows the stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+function isEncryptedExport(data) {
+    return !!data && data.format === ENCRYPTED_EXPORT_FORMAT && typeof data.ciphertext === 'string';
+}
+
+async function deriveExportKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Seal an export payload with a passphrase
+async function encryptExport(payload, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveExportKey(passphrase, salt, ENCRYPTION_KDF_ITERATIONS);
+    const plaintext = new TextEncoder().encode(JSON.stringify(payload));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+    return {
+        format: ENCRYPTED_EXPORT_FORMAT,
+        version: 1,
+        exportDate: payload.exportDate,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ENCRYPTION_KDF_ITERATIONS, salt: bytesToBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+        ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+    };
+}
+
+// Open an encrypted export and return the payload inside
+async function decryptExport(envelope, passphrase) {
+    if (envelope.version !== 1 || !envelope.kdf || !envelope.cipher) {
+        throw new Error('This encrypted file was created by a newer version of Site Launcher. Please update the extension first.');
+    }
+
+    const { iterations } = envelope.kdf;
+    if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_ENCRYPTION_KDF_ITERATIONS) {
+        throw new Error('This encrypted file is damaged (its key settings are not valid)');
+    }
+
+    const key = await deriveExportKey(passphrase, base64ToBytes(envelope.kdf.salt), iterations);
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.cipher.iv) }, key, base64ToBytes(envelope.ciphertext));
+    } catch (error) {
+        // AES-GCM can't tell a wrong key from a damaged file
+        throw new Error('Wrong passphrase, or the file is damaged');
+    }
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
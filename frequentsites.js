@@ -0,0 +1,77 @@
+// Frequently visited site suggestions
+// Loaded by newtab.html after integrity.js
+//
+// Combines chrome.topSites with the origins visited most in chrome.history, counts visits per
+// suggestion, and spots suggestions that are only a variant of a site already in the launcher
+// (http vs https, www, a trailing slash, a query string or an index page).
+
+const FREQUENT_SITES_HISTORY_DAYS = 90;
+const FREQUENT_SITES_LIMIT = 50;
+
+// A key that is the same for every variant of a URL
+function getSiteUrlKey(url) {
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return url;
+        }
+        const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        const path = parsed.pathname.replace(/\/index\.(html?|php|aspx?)$/i, '/').replace(/\/+$/, '');
+        return `${host}${parsed.port ? `:${parsed.port}` : ''}${path}`;
+    } catch (e) {
+        return url;
+    }
+}
+
+// A launcher name from a page title, or the host when there is none
+function getSuggestedSiteName(title, url) {
+    const name = (title || '').trim() || new URL(url).hostname;
+    return name.replace(/^https?:\/\//, '').replace(/^www\./, '');
+}
+
+// Build the suggestion list
+// historyItems are chrome.history.HistoryItem results and may be empty when history access was declined.
+// Returns [{ key, name, url, visits, topSite, existing }] - existing is the launcher site it duplicates
+function buildFrequentSiteSuggestions(topSites, historyItems, existingSites) {
+    const suggestions = new Map();
+    const existingByKey = new Map();
+    existingSites.forEach(site => {
+        const key = getSiteUrlKey(site.url);
+        if (!existingByKey.has(key)) existingByKey.set(key, site);
+    });
+
+    const add = (key, url, title, visits, topSite) => {
+        const suggestion = suggestions.get(key);
+        if (suggestion) {
+            suggestion.visits = Math.max(suggestion.visits, visits);
+            suggestion.topSite = suggestion.topSite || topSite;
+            return;
+        }
+        suggestions.set(key, { key, name: getSuggestedSiteName(title, url), url, visits, topSite, existing: existingByKey.get(key) || null });
+    };
+
+    // Visits are counted per origin, and the origin's home page suggested
+    const origins = new Map();
+    historyItems.forEach(item => {
+        if (!item.url || !/^https?:/.test(item.url)) return;
+        const origin = new URL(item.url).origin;
+        const entry = origins.get(origin) || { visits: 0, title: '' };
+        entry.visits += item.visitCount || 0;
+        if (getSiteUrlKey(item.url) === getSiteUrlKey(origin)) {
+            entry.title = item.title || entry.title;
+        }
+        origins.set(origin, entry);
+    });
+
+    topSites.filter(site => isSupportedSiteUrl(site.url)).forEach(site => {
+        const origin = /^https?:/.test(site.url) ? new URL(site.url).origin : null;
+        add(getSiteUrlKey(site.url), site.url, site.title, origin && origins.has(origin) ? origins.get(origin).visits : 0, true);
+    });
+    origins.forEach((entry, origin) => {
+        add(getSiteUrlKey(origin), `${origin}/`, entry.title, entry.visits, false);
+    });
+
+    return [...suggestions.values()]
+        .sort((a, b) => b.visits - a.visits || Number(b.topSite) - Number(a.topSite))
+        .slice(0, FREQUENT_SITES_LIMIT);
+}
@@ -0,0 +1,40 @@
+// Shared IndexedDB helper
+// Loaded by newtab.html, popup.html and background.js (via importScripts()) before images.js and backups.js
+//
+// Each database holds a single object store keyed by id. A database is described as
+// { name, version, storeName } and opened once per context.
+
+const indexedDatabasePromises = new Map();
+
+function openIndexedDatabase(database) {
+    if (!indexedDatabasePromises.has(database.name)) {
+        indexedDatabasePromises.set(database.name, new Promise((resolve, reject) => {
+            const request = indexedDB.open(database.name, database.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(database.storeName)) {
+                    db.createObjectStore(database.storeName, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                // Allow a later call to retry
+                indexedDatabasePromises.delete(database.name);
+                reject(request.error);
+            };
+        }));
+    }
+    return indexedDatabasePromises.get(database.name);
+}
+
+// Run a single request against a database's store and resolve with its result
+async function runIndexedDatabaseRequest(database, mode, createRequest) {
+    const db = await openIndexedDatabase(database);
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(database.storeName, mode);
+        const request = createRequest(transaction.objectStore(database.storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
@@ -0,0 +1,197 @@
+// Uploaded background images
+// Loaded by newtab.html, popup.html and background.js (via importScripts()), after storage.js and idb.js
+//
+// Images are kept as blobs in IndexedDB rather than as data URLs in chrome.storage.local, where they
+// count against the quota and end up in every export. A theme points at one with { type: 'image', imageId }.
+// Ids are derived from the image content, so uploading or importing the same image twice stores it once.
+
+const IMAGE_DATABASE = { name: 'site-launcher-images', version: 1, storeName: 'images' };
+const THUMBNAIL_WIDTH = 320;
+
+// Object URLs handed out per image id (and per thumbnail), reused until the image is deleted
+const imageObjectUrls = new Map();
+
+// Run a single request against the image store and resolve with its result
+function runImageRequest(mode, createRequest) {
+    return runIndexedDatabaseRequest(IMAGE_DATABASE, mode, createRequest);
+}
+
+async function getImageIdForBlob(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `img-${hex.slice(0, 24)}`;
+}
+
+// Scale an image down for the picker; falls back to the original if the browser can't decode it (e.g. SVG)
+async function createImageThumbnail(blob) {
+    try {
+        const bitmap = await createImageBitmap(blob);
+        const scale = Math.min(1, THUMBNAIL_WIDTH / bitmap.width);
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+
+        const canvas = new OffscreenCanvas(width, height);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+        return await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+    } catch (error) {
+        console.warn('Could not create image thumbnail:', error);
+        return blob;
+    }
+}
+
+// Store an image blob (with its thumbnail) and return its id
+async function saveImage(blob, name = '') {
+    if (!blob.type.startsWith('image/')) {
+        throw new Error('Please select a valid image file');
+    }
+
+    const id = await getImageIdForBlob(blob);
+    const existing = await getImageRecord(id);
+    if (existing) {
+        return id;
+    }
+
+    const thumbnail = await createImageThumbnail(blob);
+    await runImageRequest('readwrite', store => store.put({
+        id,
+        name,
+        type: blob.type,
+        size: blob.size,
+        blob,
+        thumbnail,
+        createdAt: Date.now()
+    }));
+    return id;
+}
+
+function getImageRecord(id) {
+    return runImageRequest('readonly', store => store.get(id));
+}
+
+// All uploaded images, oldest first
+async function listImages() {
+    const records = await runImageRequest('readonly', store => store.getAll());
+    return (records || []).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+async function deleteImage(id) {
+    await runImageRequest('readwrite', store => store.delete(id));
+
+    [id, `${id}:thumbnail`].forEach(key => {
+        if (imageObjectUrls.has(key)) {
+            URL.revokeObjectURL(imageObjectUrls.get(key));
+            imageObjectUrls.delete(key);
+        }
+    });
+}
+
+// Get a URL that can be used in CSS or <img>; null if the image is gone
+async function getImageObjectUrl(id, thumbnail = false) {
+    const key = thumbnail ? `${id}:thumbnail` : id;
+    if (imageObjectUrls.has(key)) {
+        return imageObjectUrls.get(key);
+    }
+
+    const record = await getImageRecord(id);
+    if (!record) {
+        return null;
+    }
+
+    const url = URL.createObjectURL(thumbnail ? record.thumbnail || record.blob : record.blob);
+    imageObjectUrls.set(key, url);
+    return url;
+}
+
+// Number of uploaded images and the space they take
+async function getImageUsage() {
+    const records = await listImages();
+    const bytes = records.reduce((sum, record) => sum + (record.size || 0) + (record.thumbnail ? record.thumbnail.size : 0), 0);
+    return { count: records.length, bytes };
+}
+
+function formatByteSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function dataUrlToBlob(dataUrl) {
+    const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataUrl);
+    if (!match) {
+        throw new Error('Invalid image data');
+    }
+
+    const type = match[1] || 'application/octet-stream';
+    if (!match[2]) {
+        return new Blob([decodeURIComponent(match[3])], { type });
+    }
+
+    const binary = atob(match[3]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type });
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// ========== Export / Import ==========
+
+// Bundle images into an export as data URLs
+async function exportImages(ids = null) {
+    const records = await listImages();
+    const selected = ids ? records.filter(record => ids.includes(record.id)) : records;
+
+    return Promise.all(selected.map(async record => ({
+        id: record.id,
+        name: record.name || '',
+        dataUrl: await blobToDataUrl(record.blob)
+    })));
+}
+
+// Store the images bundled with imported or migrated data (data.images, and images a workspace carries)
+// and point its themes at them. Returns the data without the image payloads.
+async function importBundledImages(data) {
+    const imported = { ...data };
+    const idMap = new Map();
+
+    const images = [
+        ...(Array.isArray(data.images) ? data.images : []),
+        ...(Array.isArray(data.workspaces) ? data.workspaces.flatMap(workspace => (Array.isArray(workspace.images) ? workspace.images : [])) : [])
+    ];
+    for (const image of images) {
+        if (image && typeof image.dataUrl === 'string') {
+            idMap.set(image.id, await saveImage(dataUrlToBlob(image.dataUrl), image.name || ''));
+        }
+    }
+
+    const convertTheme = (theme) => {
+        if (theme && theme.imageId && idMap.has(theme.imageId)) {
+            return { ...theme, imageId: idMap.get(theme.imageId) };
+        }
+        return theme;
+    };
+
+    if (imported.theme) {
+        imported.theme = convertTheme(imported.theme);
+    }
+    if (Array.isArray(imported.workspaces)) {
+        imported.workspaces = imported.workspaces.map(workspace => {
+            const converted = { ...workspace, theme: workspace.theme ? convertTheme(workspace.theme) : workspace.theme };
+            delete converted.images;
+            return converted;
+        });
+    }
+
+    delete imported.images;
+    return imported;
+}
@@ -0,0 +1,128 @@
+// Import adapters for other extensions' exports
+// Loaded by newtab.html after bookmarks.js
+//
+// Each adapter recognises one file format and reads it into the entry tree of bookmarks.js
+// ({ type: 'folder', name, children } and { type: 'bookmark', name, url }), so groups, lists and
+// sessions become launcher folders the same way bookmark folders do (see bookmarkEntriesToSites()).
+//
+// An adapter is { id, name, detect(file), read(file) }, where file is { name, text, json } and json is
+// the parsed content, or null when the file isn't JSON. Adapters are tried in the order they are
+// registered; the Site Launcher format itself is not an adapter and is handled by the caller.
+
+const IMPORT_ADAPTERS = [];
+
+function registerImportAdapter(adapter) {
+    IMPORT_ADAPTERS.push(adapter);
+}
+
+// The adapter for a file, or null if none recognises it
+function detectImportAdapter(file) {
+    return IMPORT_ADAPTERS.find(adapter => {
+        try {
+            return adapter.detect(file);
+        } catch (e) {
+            return false;
+        }
+    }) || null;
+}
+
+// Read a file with its adapter into launcher sites - { sites, skipped, flattened } as bookmarkEntriesToSites()
+function readImportWithAdapter(adapter, file) {
+    return bookmarkEntriesToSites(adapter.read(file));
+}
+
+function bookmarkEntry(name, url) {
+    return { type: 'bookmark', name: String(name || '').trim(), url: String(url || '').trim(), iconUrl: '', addDate: 0 };
+}
+
+function folderEntry(name, children) {
+    return { type: 'folder', name: String(name || '').trim(), isRoot: false, children };
+}
+
+// Browsers, bookmark managers, and the bookmarks HTML export of many tab managers
+registerImportAdapter({
+    id: 'bookmarks-html',
+    name: 'Bookmarks HTML',
+    detect: (file) => isNetscapeBookmarkFile(file.text),
+    read: (file) => {
+        const rootList = new DOMParser().parseFromString(file.text, 'text/html').querySelector('dl');
+        if (!rootList) {
+            throw new Error('No bookmarks found in this file');
+        }
+        return readBookmarkList(rootList);
+    }
+});
+
+// Toby: { lists: [{ title, cards: [{ title, customTitle, url }] }] }
+registerImportAdapter({
+    id: 'toby',
+    name: 'Toby',
+    detect: (file) => !!file.json && Array.isArray(file.json.lists) && file.json.lists.every(list => Array.isArray(list.cards)),
+    read: (file) => file.json.lists.map(list => folderEntry(
+        list.title || 'Toby list',
+        list.cards.map(card => bookmarkEntry(card.customTitle || card.title, card.url))
+    ))
+});
+
+// Session Buddy: collections of folders of links, or (older exports) sessions of windows of tabs
+registerImportAdapter({
+    id: 'session-buddy',
+    name: 'Session Buddy',
+    detect: (file) => !!file.json && (Array.isArray(file.json.collections) || (Array.isArray(file.json.sessions) && file.json.sessions.some(session => Array.isArray(session.windows)))),
+    read: (file) => {
+        if (Array.isArray(file.json.collections)) {
+            return file.json.collections.map((collection, index) => folderEntry(
+                collection.title || `Collection ${index + 1}`,
+                (collection.folders || []).flatMap(folder => (folder.links || []).map(link => bookmarkEntry(link.title, link.url)))
+            ));
+        }
+        return file.json.sessions.map((session, index) => folderEntry(
+            session.name || session.title || `Session ${index + 1}`,
+            (session.windows || []).flatMap(window => (window.tabs || []).map(tab => bookmarkEntry(tab.title, tab.url)))
+        ));
+    }
+});
+
+// Speed Dial 2: { groups: [{ id, title }], dials: [{ title, url, idgroup }] } - dials outside a group stay at the top
+registerImportAdapter({
+    id: 'speed-dial-2',
+    name: 'Speed Dial 2',
+    detect: (file) => !!file.json && Array.isArray(file.json.dials),
+    read: (file) => {
+        const groups = Array.isArray(file.json.groups) ? file.json.groups : [];
+        const groupOf = (dial) => dial.idgroup ?? dial.idGroup ?? dial.groupId;
+        const dials = [...file.json.dials].sort((a, b) => (a.position || 0) - (b.position || 0));
+        const grouped = groups.map(group => folderEntry(
+            group.title || group.name,
+            dials.filter(dial => groupOf(dial) !== undefined && String(groupOf(dial)) === String(group.id)).map(dial => bookmarkEntry(dial.title, dial.url))
+        ));
+        const groupIds = new Set(groups.map(group => String(group.id)));
+        const ungrouped = dials
+            .filter(dial => groupOf(dial) === undefined || !groupIds.has(String(groupOf(dial))))
+            .map(dial => bookmarkEntry(dial.title, dial.url));
+        return [...ungrouped, ...grouped];
+    }
+});
+
+// OneTab's "Export URLs": a "url | title" line per tab, with a blank line between tab groups
+registerImportAdapter({
+    id: 'onetab',
+    name: 'OneTab',
+    detect: (file) => {
+        if (file.json) return false;
+        const lines = file.text.split(/\r?\n/).filter(line => line.trim());
+        return lines.length > 0 && lines.every(line => /^[a-z][a-z0-9+.-]*:\S*( \| .*)?$/i.test(line.trim()));
+    },
+    read: (file) => {
+        const groups = file.text.trim().split(/\r?\n\s*\r?\n/).map(block => block.split(/\r?\n/)
+            .filter(line => line.trim())
+            .map(line => {
+                const separator = line.indexOf(' | ');
+                return separator === -1
+                    ? bookmarkEntry('', line)
+                    : bookmarkEntry(line.slice(separator + 3), line.slice(0, separator));
+            }));
+        // A single group is just a list of sites
+        return groups.length === 1 ? groups[0] : groups.map((bookmarks, index) => folderEntry(`Tab group ${index + 1}`, bookmarks));
+    }
+});
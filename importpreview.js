@@ -0,0 +1,440 @@
+// Import preview and conflict resolution
+// Loaded by newtab.html after storage.js
+//
+// buildImportPreview() compares incoming data with what the launcher has and lists one item per
+// site, folder, global script, setting and workspace that would change. Each item carries the
+// resolutions it allows:
+//   'theirs' - take the incoming copy (or add it, or remove ours when replacing)
+//   'mine'   - keep ours (or skip the incoming item)
+//   'both'   - keep ours and add the incoming copy next to it
+// resolveImport() then computes the data to write from the chosen resolutions. Both are pure and
+// match items the same way, so resolving against fresher data than was previewed stays consistent.
+
+const IMPORT_RESOLUTION_LABELS = {
+    theirs: 'Take theirs',
+    mine: 'Keep mine',
+    both: 'Keep both'
+};
+
+// Fields that are bookkeeping rather than content, and never count as a difference
+const IMPORT_IGNORED_FIELDS = ['id', 'createdAt', 'parentId', 'bookmarkId', 'bookmarkFolderId'];
+
+const IMPORT_SETTING_LABELS = {
+    theme: 'Theme',
+    iconSize: 'Icon size',
+    showEditOnHover: 'Show edit buttons on hover'
+};
+
+// Pair each incoming record with one of ours - same id first, then the same key (URL for sites, name for scripts)
+// canPair(mine, theirs) can rule out pairs that would be matched otherwise
+function matchImportRecords(currentRecords, incomingRecords, keyField, canPair = () => true) {
+    const claimed = new Set();
+    const claim = (record) => {
+        if (record) claimed.add(record);
+        return record || null;
+    };
+
+    const matches = incomingRecords.map(incoming => (
+        incoming.id ? claim(currentRecords.find(record => record.id === incoming.id && !claimed.has(record) && canPair(record, incoming))) : null
+    ));
+    return matches.map((match, index) => match || claim(currentRecords.find(record => (
+        !claimed.has(record) && record[keyField] === incomingRecords[index][keyField] && canPair(record, incomingRecords[index])
+    ))));
+}
+
+// Folders only nest one level, so an incoming folder can't be matched with one of our sites inside a folder
+// (its sites would end up two levels deep), nor an incoming site inside a folder with one of our folders
+function getImportSitePairCheck(currentSites, incomingSites) {
+    const incomingFolderIds = new Set(incomingSites.filter(s => s.parentId).map(s => s.parentId));
+    const currentFolderIds = new Set(currentSites.filter(s => s.parentId).map(s => s.parentId));
+    return (mine, theirs) => {
+        if (incomingFolderIds.has(theirs.id) && mine.parentId) return false;
+        if (theirs.parentId && currentFolderIds.has(mine.id)) return false;
+        return true;
+    };
+}
+
+function matchImportSites(currentSites, incomingSites) {
+    return matchImportRecords(currentSites, incomingSites, 'url', getImportSitePairCheck(currentSites, incomingSites));
+}
+
+function describeImportValue(field, value) {
+    if (value === undefined || value === null || value === '') return '(none)';
+    if (field === 'scripts' && Array.isArray(value)) return `${value.length} script(s)`;
+    if (field === 'theme') {
+        if (value.type === 'image') return value.imageId ? 'Uploaded image' : 'Image';
+        return `${value.type || 'color'} ${value.value || ''}`.trim();
+    }
+    if (typeof value === 'boolean') return value ? 'On' : 'Off';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// The content fields in which two records differ, as { field, mine, theirs } display strings
+function diffImportRecords(mine, theirs, extra = {}) {
+    const fields = new Set([...Object.keys(mine), ...Object.keys(theirs)]);
+    const changes = [];
+    fields.forEach(field => {
+        if (IMPORT_IGNORED_FIELDS.includes(field)) return;
+        if (JSON.stringify(mine[field]) !== JSON.stringify(theirs[field])) {
+            changes.push({ field, mine: describeImportValue(field, mine[field]), theirs: describeImportValue(field, theirs[field]) });
+        }
+    });
+    Object.entries(extra).forEach(([field, [mineValue, theirsValue]]) => {
+        if (mineValue !== theirsValue) {
+            changes.push({ field, mine: describeImportValue(field, mineValue), theirs: describeImportValue(field, theirsValue) });
+        }
+    });
+    return changes;
+}
+
+// The code an incoming site or global script would bring - its scripts when new or different from ours, else null.
+// An import (or a share link) could otherwise plant code that the service worker runs, so the code is only taken
+// when chosen one by one: a site is added without its scripts unless they are included (site-scripts:<index>),
+// and a global script, which is nothing but code, is skipped unless taken.
+function getIncomingScripts(mine, theirs) {
+    if (!Array.isArray(theirs.scripts) || theirs.scripts.length === 0) return null;
+    if (mine && JSON.stringify(mine.scripts) === JSON.stringify(theirs.scripts)) return null;
+    return theirs.scripts;
+}
+
+// An incoming site with its scripts left out - it keeps ours, or has none when it is new
+function withoutIncomingScripts(mine, theirs) {
+    const site = { ...theirs };
+    if (mine && mine.scripts !== undefined) {
+        site.scripts = mine.scripts;
+    } else {
+        delete site.scripts;
+    }
+    return site;
+}
+
+function getScriptSiteOrigin(url) {
+    try {
+        return new URL(url).origin;
+    } catch (e) {
+        return url;
+    }
+}
+
+function getDefaultImportResolution(status, mode) {
+    if (status === 'changed') return mode === 'replace' ? 'theirs' : 'mine';
+    return 'theirs';
+}
+
+// The name of the folder a site is in, looked up in its own list
+function getImportFolderName(sites, parentId) {
+    const parent = parentId ? sites.find(s => s.id === parentId) : null;
+    return parent ? parent.name : null;
+}
+
+// current: { sites, globalScripts, theme, iconSize, showEditOnHover, workspaces (the inactive ones, { id, name }) }
+// incoming: extracted import data; mode: 'merge' or 'replace'
+function buildImportPreview(current, incoming, mode) {
+    const items = [];
+    const addItem = (item) => items.push({
+        ...item,
+        resolution: item.resolution || getDefaultImportResolution(item.status, mode)
+    });
+
+    // Sites and folders
+    const currentSites = current.sites || [];
+    const incomingSites = incoming.sites || [];
+    const siteMatches = matchImportSites(currentSites, incomingSites);
+    incomingSites.forEach((theirs, index) => {
+        const mine = siteMatches[index];
+        const isFolder = incomingSites.some(s => s.parentId && s.parentId === theirs.id);
+        const scripts = getIncomingScripts(mine, theirs);
+        const base = {
+            key: `site:${index}`,
+            section: 'sites',
+            kind: isFolder ? 'folder' : 'site',
+            label: theirs.name,
+            detail: theirs.url
+        };
+        if (scripts) {
+            Object.assign(base, { scripts, scriptOrigin: getScriptSiteOrigin(theirs.url), scriptsKey: `site-scripts:${index}`, includeScripts: false });
+        }
+        if (!mine) {
+            // Say why a site we have at this address isn't updated
+            const unpaired = currentSites.find(site => site.url === theirs.url && !siteMatches.includes(site));
+            const detail = unpaired && isFolder && unpaired.parentId
+                ? `${theirs.url} - added as a new folder, since your "${unpaired.name}" is inside ${getImportFolderName(currentSites, unpaired.parentId) || 'a folder'}`
+                : unpaired && theirs.parentId && currentSites.some(s => s.parentId === unpaired.id)
+                    ? `${theirs.url} - added as a new site, since your "${unpaired.name}" is a folder`
+                    : base.detail;
+            addItem({ ...base, detail, status: 'new', options: ['theirs', 'mine'] });
+            return;
+        }
+        const changes = diffImportRecords(mine, theirs, {
+            folder: [getImportFolderName(currentSites, mine.parentId), getImportFolderName(incomingSites, theirs.parentId)]
+        });
+        addItem({ ...base, status: changes.length > 0 ? 'changed' : 'unchanged', changes, options: ['theirs', 'mine', 'both'] });
+    });
+    if (mode === 'replace') {
+        currentSites.filter(site => !siteMatches.includes(site)).forEach(mine => {
+            addItem({
+                key: `site-removed:${mine.id}`,
+                section: 'sites',
+                kind: currentSites.some(s => s.parentId === mine.id) ? 'folder' : 'site',
+                label: mine.name,
+                detail: mine.url,
+                status: 'removed',
+                options: ['theirs', 'mine']
+            });
+        });
+    }
+
+    // Global scripts
+    if (Array.isArray(incoming.globalScripts)) {
+        const currentScripts = current.globalScripts || [];
+        const scriptMatches = matchImportRecords(currentScripts, incoming.globalScripts, 'name');
+        incoming.globalScripts.forEach((theirs, index) => {
+            const mine = scriptMatches[index];
+            const scripts = getIncomingScripts(mine, theirs);
+            const base = { key: `globalScript:${index}`, section: 'globalScripts', kind: 'globalScript', label: theirs.name, detail: theirs.domainPattern };
+            if (scripts) {
+                Object.assign(base, { scripts, scriptOrigin: theirs.domainPattern, resolution: 'mine' });
+            }
+            if (!mine) {
+                addItem({ ...base, status: 'new', options: ['theirs', 'mine'] });
+                return;
+            }
+            const changes = diffImportRecords(mine, theirs);
+            addItem({ ...base, status: changes.length > 0 ? 'changed' : 'unchanged', changes, options: ['theirs', 'mine', 'both'] });
+        });
+        if (mode === 'replace') {
+            currentScripts.filter(script => !scriptMatches.includes(script)).forEach(mine => {
+                addItem({
+                    key: `globalScript-removed:${mine.id}`,
+                    section: 'globalScripts',
+                    kind: 'globalScript',
+                    label: mine.name,
+                    detail: mine.domainPattern,
+                    status: 'removed',
+                    options: ['theirs', 'mine']
+                });
+            });
+        }
+    }
+
+    // Settings
+    Object.keys(IMPORT_SETTING_LABELS).forEach(field => {
+        if (incoming[field] === undefined || incoming[field] === null) return;
+        const same = JSON.stringify(current[field]) === JSON.stringify(incoming[field]);
+        addItem({
+            key: `setting:${field}`,
+            section: 'settings',
+            kind: 'setting',
+            label: IMPORT_SETTING_LABELS[field],
+            status: same ? 'unchanged' : 'changed',
+            changes: same ? [] : [{ field, mine: describeImportValue(field, current[field]), theirs: describeImportValue(field, incoming[field]) }],
+            options: ['theirs', 'mine']
+        });
+    });
+
+    // Other workspaces - matched by name, compared only by size
+    if (Array.isArray(incoming.workspaces)) {
+        const currentWorkspaces = current.workspaces || [];
+        incoming.workspaces.forEach((theirs, index) => {
+            const mine = currentWorkspaces.find(w => w.name === theirs.name);
+            const base = {
+                key: `workspace:${index}`,
+                section: 'workspaces',
+                kind: 'workspace',
+                label: theirs.name,
+                detail: `${(theirs.sites || []).length} site(s), ${(theirs.globalScripts || []).length} global script(s)`
+            };
+            addItem(mine
+                ? { ...base, status: 'changed', changes: [{ field: 'workspace', mine: 'Existing workspace', theirs: 'Imported workspace' }], options: ['theirs', 'mine', 'both'] }
+                : { ...base, status: 'new', options: ['theirs', 'mine'] });
+        });
+        if (mode === 'replace') {
+            currentWorkspaces.filter(mine => !incoming.workspaces.some(w => w.name === mine.name)).forEach(mine => {
+                addItem({
+                    key: `workspace-removed:${mine.id}`,
+                    section: 'workspaces',
+                    kind: 'workspace',
+                    label: mine.name,
+                    status: 'removed',
+                    options: ['theirs', 'mine']
+                });
+            });
+        }
+    }
+
+    return { mode, items };
+}
+
+function getImportResolution(resolutions, key, status, mode) {
+    return resolutions[key] || getDefaultImportResolution(status, mode);
+}
+
+// Resolve one list of records (sites or global scripts) into the list to write
+// prepareIncoming(mine, theirs, index) may change an incoming record before it is compared and taken
+// Returns { records, idMap, placed, counts } - idMap maps incoming ids to the ids they ended up with (null when
+// skipped), placed pairs each record taken from the incoming data with its incoming original
+function resolveImportRecords(currentRecords, incomingRecords, options) {
+    const { mode, resolutions, keyPrefix, keyField, canPair, isChanged, skipByDefault = () => false, prepareIncoming = (mine, theirs) => theirs } = options;
+    const matches = matchImportRecords(currentRecords, incomingRecords, keyField, canPair);
+    const usedIds = new Set(currentRecords.map(record => record.id));
+    const records = mode === 'replace' ? [] : currentRecords.map(record => ({ ...record }));
+    const idMap = new Map();
+    const placed = [];
+    const counts = { added: 0, updated: 0, kept: 0, removed: 0 };
+
+    const takeId = (id) => {
+        const newId = id && !usedIds.has(id) ? id : generateUniqueId();
+        usedIds.add(newId);
+        return newId;
+    };
+
+    incomingRecords.forEach((original, index) => {
+        const mine = matches[index];
+        const theirs = prepareIncoming(mine, original, index);
+        const status = !mine ? 'new' : (isChanged(mine, theirs) ? 'changed' : 'unchanged');
+        const resolution = status !== 'unchanged' && !resolutions[`${keyPrefix}:${index}`] && skipByDefault(mine, theirs)
+            ? 'mine'
+            : getImportResolution(resolutions, `${keyPrefix}:${index}`, status, mode);
+
+        if (status === 'new') {
+            if (resolution === 'mine') {
+                idMap.set(theirs.id, null);
+                return;
+            }
+            const record = { ...theirs, id: takeId(theirs.id), createdAt: theirs.createdAt || Date.now() };
+            records.push(record);
+            placed.push([record, theirs]);
+            idMap.set(theirs.id, record.id);
+            counts.added++;
+            return;
+        }
+
+        if (status === 'unchanged' || resolution === 'mine' || resolution === 'both') {
+            if (mode === 'replace') {
+                records.push({ ...mine });
+            }
+            idMap.set(theirs.id, mine.id);
+            if (status === 'changed') counts.kept++;
+        }
+
+        if (status === 'changed' && resolution === 'both') {
+            const record = { ...theirs, id: takeId(null), name: `${theirs.name} (imported)`, createdAt: theirs.createdAt || Date.now() };
+            records.push(record);
+            placed.push([record, theirs]);
+            idMap.set(theirs.id, record.id);
+            counts.added++;
+        } else if (status === 'changed' && resolution === 'theirs') {
+            const record = { ...theirs, id: mine.id, createdAt: mine.createdAt || theirs.createdAt };
+            if (mode === 'replace') {
+                records.push(record);
+            } else {
+                records[records.findIndex(r => r.id === mine.id)] = record;
+            }
+            placed.push([record, theirs]);
+            idMap.set(theirs.id, mine.id);
+            counts.updated++;
+        }
+    });
+
+    if (mode === 'replace') {
+        currentRecords.filter(record => !matches.includes(record)).forEach(mine => {
+            if (getImportResolution(resolutions, `${keyPrefix}-removed:${mine.id}`, 'removed', mode) === 'mine') {
+                records.push({ ...mine });
+            } else {
+                counts.removed++;
+            }
+        });
+    }
+
+    return { records, idMap, placed, counts };
+}
+
+// Compute what to write for the chosen resolutions
+// Returns { sites, globalScripts, settings, workspaces: { create, remove }, counts }
+function resolveImport(current, incoming, mode, resolutions = {}) {
+    const incomingSites = incoming.sites || [];
+    const currentSites = current.sites || [];
+    const siteResult = resolveImportRecords(currentSites, incomingSites, {
+        mode,
+        resolutions,
+        keyPrefix: 'site',
+        keyField: 'url',
+        canPair: getImportSitePairCheck(currentSites, incomingSites),
+        prepareIncoming: (mine, theirs, index) => (getIncomingScripts(mine, theirs) && resolutions[`site-scripts:${index}`] !== 'theirs'
+            ? withoutIncomingScripts(mine, theirs)
+            : theirs),
+        isChanged: (mine, theirs) => diffImportRecords(mine, theirs, {
+            folder: [getImportFolderName(currentSites, mine.parentId), getImportFolderName(incomingSites, theirs.parentId)]
+        }).length > 0
+    });
+
+    // Incoming sites go into the folder their incoming parent ended up as
+    siteResult.placed.forEach(([site, theirs]) => {
+        const parentId = theirs.parentId ? siteResult.idMap.get(theirs.parentId) : null;
+        if (parentId) {
+            site.parentId = parentId;
+        } else {
+            delete site.parentId;
+        }
+    });
+    // Sites whose folder was removed or skipped move to the top level
+    const siteIds = new Set(siteResult.records.map(site => site.id));
+    const sites = siteResult.records.map(site => {
+        if (!site.parentId || siteIds.has(site.parentId)) return site;
+        const { parentId, ...rest } = site;
+        return rest;
+    });
+
+    let globalScripts = null;
+    let scriptCounts = null;
+    if (Array.isArray(incoming.globalScripts)) {
+        const scriptResult = resolveImportRecords(current.globalScripts || [], incoming.globalScripts, {
+            mode,
+            resolutions,
+            keyPrefix: 'globalScript',
+            keyField: 'name',
+            skipByDefault: (mine, theirs) => !!getIncomingScripts(mine, theirs),
+            isChanged: (mine, theirs) => diffImportRecords(mine, theirs).length > 0
+        });
+        globalScripts = scriptResult.records;
+        scriptCounts = scriptResult.counts;
+    }
+
+    const settings = {};
+    Object.keys(IMPORT_SETTING_LABELS).forEach(field => {
+        if (incoming[field] === undefined || incoming[field] === null) return;
+        const same = JSON.stringify(current[field]) === JSON.stringify(incoming[field]);
+        if (!same && getImportResolution(resolutions, `setting:${field}`, 'changed', mode) === 'theirs') {
+            settings[field] = incoming[field];
+        }
+    });
+
+    const workspaces = { create: [], remove: [] };
+    if (Array.isArray(incoming.workspaces)) {
+        const currentWorkspaces = current.workspaces || [];
+        incoming.workspaces.forEach((theirs, index) => {
+            const mine = currentWorkspaces.find(w => w.name === theirs.name);
+            const resolution = getImportResolution(resolutions, `workspace:${index}`, mine ? 'changed' : 'new', mode);
+            if (resolution === 'mine') return;
+            if (mine && resolution === 'theirs') {
+                workspaces.remove.push(mine.id);
+            }
+            workspaces.create.push(mine && resolution === 'both' ? { ...theirs, name: `${theirs.name} (imported)` } : theirs);
+        });
+        if (mode === 'replace') {
+            currentWorkspaces
+                .filter(mine => !incoming.workspaces.some(w => w.name === mine.name))
+                .filter(mine => getImportResolution(resolutions, `workspace-removed:${mine.id}`, 'removed', mode) === 'theirs')
+                .forEach(mine => workspaces.remove.push(mine.id));
+        }
+    }
+
+    return {
+        sites,
+        globalScripts,
+        settings,
+        workspaces,
+        counts: { sites: siteResult.counts, globalScripts: scriptCounts }
+    };
+}
@@ -0,0 +1,245 @@
+// Data integrity checks and repairs
+// Loaded by newtab.html after storage.js
+//
+// checkDataIntegrity() looks at a { sites, globalScripts } dataset and lists every problem it finds.
+// Each problem offers one or more repairs; applyIntegrityRepair() applies one to a copy of the data.
+// Both are pure, so repairs can run inside updateSites() and be re-checked against fresh data.
+
+const SUPPORTED_URL_PROTOCOLS = ['http:', 'https:', 'chrome:', 'chrome-extension:', 'about:', 'file:'];
+
+const INTEGRITY_REPAIR_LABELS = {
+    'regenerate-id': 'Give it a new ID',
+    'move-to-top': 'Move to top level',
+    'move-to-ancestor': 'Move into the top-level folder',
+    'fix-url': 'Add https://',
+    'use-hostname': 'Name it after its URL',
+    'delete': 'Delete it'
+};
+
+function isSupportedSiteUrl(url) {
+    if (typeof url !== 'string' || !url.trim()) {
+        return false;
+    }
+    try {
+        return SUPPORTED_URL_PROTOCOLS.includes(new URL(url).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+// The URL the add form would have made of this input, or null if that doesn't help
+function getFixedSiteUrl(url) {
+    if (typeof url !== 'string' || !url.trim() || /^[a-z][a-z0-9+.-]*:/i.test(url.trim())) {
+        return null;
+    }
+    const candidate = `https://${url.trim()}`;
+    try {
+        return new URL(candidate).hostname.includes('.') ? candidate : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function describeSite(site, index) {
+    return site && site.name ? `"${site.name}"` : `Site #${index + 1}`;
+}
+
+// List every problem in a dataset
+// Issues carry a key that identifies them across re-checks, a message, and the repairs that apply (first is the default)
+function checkDataIntegrity(data) {
+    const sites = Array.isArray(data.sites) ? data.sites : [];
+    const globalScripts = Array.isArray(data.globalScripts) ? data.globalScripts : [];
+    const issues = [];
+
+    // IDs - a site whose id was already used (or is missing) can't be edited, moved or deleted reliably
+    const seenSiteIds = new Set();
+    sites.forEach((site, index) => {
+        if (site.id === undefined || site.id === null || site.id === '') {
+            issues.push({
+                key: `missing-id:site:${index}`,
+                type: 'missing-id',
+                index,
+                message: `${describeSite(site, index)} has no ID.`,
+                repairs: ['regenerate-id', 'delete']
+            });
+            return;
+        }
+        if (seenSiteIds.has(site.id)) {
+            issues.push({
+                key: `duplicate-id:site:${index}`,
+                type: 'duplicate-id',
+                index,
+                message: `${describeSite(site, index)} has the same ID as another site (${site.id}).`,
+                repairs: ['regenerate-id', 'delete']
+            });
+        }
+        seenSiteIds.add(site.id);
+    });
+
+    // Folder structure - only one level of nesting is supported
+    const sitesById = new Map();
+    sites.forEach(site => {
+        if (site.id && !sitesById.has(site.id)) {
+            sitesById.set(site.id, site);
+        }
+    });
+    sites.forEach((site, index) => {
+        if (!site.parentId) return;
+
+        const parent = sitesById.get(site.parentId);
+        if (!parent || site.parentId === site.id) {
+            issues.push({
+                key: `orphan:site:${index}`,
+                type: 'orphan',
+                index,
+                message: `${describeSite(site, index)} is inside a folder that no longer exists.`,
+                repairs: ['move-to-top', 'delete']
+            });
+        } else if (parent.parentId) {
+            issues.push({
+                key: `nested-child:site:${index}`,
+                type: 'nested-child',
+                index,
+                message: `${describeSite(site, index)} is inside ${describeSite(parent, sites.indexOf(parent))}, which is itself inside a folder.`,
+                repairs: getTopLevelAncestor(parent, sitesById) ? ['move-to-ancestor', 'move-to-top', 'delete'] : ['move-to-top', 'delete']
+            });
+        }
+    });
+
+    // Names and URLs
+    sites.forEach((site, index) => {
+        if (!isSupportedSiteUrl(site.url)) {
+            issues.push({
+                key: `invalid-url:site:${index}`,
+                type: 'invalid-url',
+                index,
+                message: `${describeSite(site, index)} has an invalid URL${site.url ? ` ("${site.url}")` : ''}.`,
+                repairs: getFixedSiteUrl(site.url) ? ['fix-url', 'delete'] : ['delete']
+            });
+        } else if (typeof site.name !== 'string' || !site.name.trim()) {
+            issues.push({
+                key: `missing-name:site:${index}`,
+                type: 'missing-name',
+                index,
+                message: `Site #${index + 1} (${site.url}) has no name.`,
+                repairs: ['use-hostname', 'delete']
+            });
+        }
+    });
+
+    // Global scripts
+    const seenScriptIds = new Set();
+    globalScripts.forEach((script, index) => {
+        const label = script.name ? `Global script "${script.name}"` : `Global script #${index + 1}`;
+        if (!script.id || seenScriptIds.has(script.id)) {
+            issues.push({
+                key: `duplicate-id:globalScript:${index}`,
+                type: 'duplicate-id',
+                target: 'globalScript',
+                index,
+                message: script.id ? `${label} has the same ID as another global script.` : `${label} has no ID.`,
+                repairs: ['regenerate-id', 'delete']
+            });
+        }
+        seenScriptIds.add(script.id);
+
+        if (typeof script.domainPattern !== 'string' || !script.domainPattern.trim()) {
+            issues.push({
+                key: `missing-pattern:globalScript:${index}`,
+                type: 'missing-pattern',
+                target: 'globalScript',
+                index,
+                message: `${label} has no domain pattern, so it can never run.`,
+                repairs: ['delete']
+            });
+        }
+    });
+
+    return issues;
+}
+
+// Walk up the parent chain to the top-level folder (null on a cycle or a missing link)
+function getTopLevelAncestor(site, sitesById) {
+    const visited = new Set();
+    let current = site;
+    while (current && current.parentId) {
+        if (visited.has(current.id)) return null;
+        visited.add(current.id);
+        current = sitesById.get(current.parentId);
+    }
+    return current || null;
+}
+
+// Apply one repair for an issue and return the repaired { sites, globalScripts }
+// The issue is looked up again by key, so a stale issue from an earlier check is simply skipped
+function applyIntegrityRepair(data, issueKey, repair) {
+    const repaired = {
+        sites: [...(data.sites || [])],
+        globalScripts: [...(data.globalScripts || [])]
+    };
+    const issue = checkDataIntegrity(repaired).find(i => i.key === issueKey);
+    if (!issue || !issue.repairs.includes(repair)) {
+        return repaired;
+    }
+
+    if (issue.target === 'globalScript') {
+        if (repair === 'delete') {
+            repaired.globalScripts.splice(issue.index, 1);
+        } else if (repair === 'regenerate-id') {
+            repaired.globalScripts[issue.index] = { ...repaired.globalScripts[issue.index], id: generateUniqueId() };
+        }
+        return repaired;
+    }
+
+    const site = { ...repaired.sites[issue.index] };
+    switch (repair) {
+        case 'delete': {
+            repaired.sites.splice(issue.index, 1);
+            // Children of a deleted folder are kept at the top level rather than deleted with it
+            if (site.id && !repaired.sites.some(s => s.id === site.id)) {
+                repaired.sites = repaired.sites.map(s => {
+                    if (s.parentId !== site.id) return s;
+                    const { parentId, ...rest } = s;
+                    return rest;
+                });
+            }
+            return repaired;
+        }
+        case 'regenerate-id':
+            site.id = generateUniqueId();
+            break;
+        case 'move-to-top':
+            delete site.parentId;
+            break;
+        case 'move-to-ancestor': {
+            const sitesById = new Map(repaired.sites.filter(s => s.id).map(s => [s.id, s]));
+            const ancestor = getTopLevelAncestor(sitesById.get(site.parentId), sitesById);
+            if (ancestor) {
+                site.parentId = ancestor.id;
+            } else {
+                delete site.parentId;
+            }
+            break;
+        }
+        case 'fix-url':
+            site.url = getFixedSiteUrl(site.url);
+            break;
+        case 'use-hostname':
+            site.name = new URL(site.url).hostname || site.url;
+            break;
+    }
+    repaired.sites[issue.index] = site;
+    return repaired;
+}
+
+// Apply the first (default) repair of every issue, re-checking after each one since repairs shift indexes
+function repairAllIntegrityIssues(data) {
+    let repaired = { sites: data.sites || [], globalScripts: data.globalScripts || [] };
+    // Every repair removes its issue, so this ends; the cap is just a safety net
+    for (let attempt = 0; attempt < 1000; attempt++) {
+        const issue = checkDataIntegrity(repaired)[0];
+        if (!issue) break;
+        repaired = applyIntegrityRepair(repaired, issue.key, issue.repairs[0]);
+    }
+    return repaired;
+}
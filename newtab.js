@@ -1,54 +1,10 @@
-// Load default sites from JSON file
-async function loadDefaultSites() {
-    try {
-        const response = await fetch(chrome.runtime.getURL('default.json'));
-        const data = await response.json();
-        
-        // Handle both old format (array) and new format (object with data property)
-        let sites = [];
-        if (Array.isArray(data)) {
-            // Old format - just array of sites
-            sites = data;
-        } else if (data.data && data.data.sites) {
-            // New format - object with data property
-            sites = data.data.sites;
-        } else {
-            console.error('Invalid default.json format');
-            return [];
-        }
-        
-        // Add createdAt timestamp to each site
-        return sites.map(site => ({
-            ...site,
-            createdAt: Date.now()
-        }));
-    } catch (error) {
-        console.error('Error loading default sites:', error);
-        return [];
-    }
-}
-
 // Storage helper functions
 async function getSites() {
-    const result = await chrome.storage.local.get(['sites', 'initialized']);
-    
-    // If first time, initialize with default sites
-    if (!result.initialized) {
-        const defaultSites = await loadDefaultSites();
-        await chrome.storage.local.set({ 
-            sites: defaultSites,
-            initialized: true 
-        });
-        return defaultSites;
-    }
-    
+    await migrateStorage();
+    const result = await chrome.storage.local.get(['sites']);
     return result.sites || [];
 }
 
-async function saveSites(sites) {
-    await chrome.storage.local.set({ sites });
-}
-
 // Get all possible favicon URLs in order of preference
 function getFaviconUrls(url) {
     try {
@@ -88,6 +44,30 @@ function hasChildren(siteId, sites) {
     return sites.some(s => s.parentId === siteId);
 }
 
+// Open a site from the grid, the sub-launcher or a keyboard shortcut, in the given mode or the site's own (see openmodes.js)
+async function launchSite(site, mode) {
+    try {
+        await openSite(site, mode);
+    } catch (error) {
+        console.error('Failed to open site:', error);
+        alert(error.message);
+    }
+}
+
+// Middle-clicks don't fire click events - send them to the click handler, and keep the browser's autoscroll out of the way
+function addMiddleClickHandler(item, handler) {
+    item.addEventListener('mousedown', (e) => {
+        if (e.button === 1) {
+            e.preventDefault();
+        }
+    });
+    item.addEventListener('auxclick', (e) => {
+        if (e.button === 1) {
+            handler(e);
+        }
+    });
+}
+
 // Render sites grid
 async function renderSites() {
     const sites = await getSites();
@@ -322,7 +302,7 @@ async function renderSites() {
             }, 100);
         });
         
-        item.addEventListener('click', async (e) => {
+        const handleSiteClick = async (e) => {
             // Don't navigate if we just finished dragging
             if (dragStarted) {
                 dragStarted = false;
@@ -338,11 +318,10 @@ async function renderSites() {
                 return;
             }
             
-            // Mark that this site is being opened via launcher
-            await chrome.storage.session.set({ [`launcher_opened_${site.id}`]: true });
-            
-            window.location.href = site.url;
-        });
+            await launchSite(site, getClickOpenMode(e));
+        };
+        item.addEventListener('click', handleSiteClick);
+        addMiddleClickHandler(item, handleSiteClick);
     });
     
     // Down arrow click handlers are set up globally below (outside renderSites)
@@ -365,15 +344,16 @@ async function renderSites() {
             const site = sites.find(s => s.id === siteId);
             const childSites = sites.filter(s => s.parentId === siteId);
             
-            let confirmMessage = 'Are you sure you want to delete this site?';
+            let confirmMessage = 'Move this site to the Trash?';
             if (childSites.length > 0) {
-                confirmMessage += `\n\nThis site has ${childSites.length} sub-site(s). They will also be deleted.`;
+                confirmMessage += `\n\nThis site has ${childSites.length} sub-site(s). They will also be moved to the Trash.`;
             }
             
             if (confirm(confirmMessage)) {
-                // Delete the site and all its children
-                const filteredSites = sites.filter(s => s.id !== siteId && s.parentId !== siteId);
-                await saveSites(filteredSites);
+                // Move the site and all its children to the trash
+                await runUndoableAction('Delete site', () => moveSiteToTrash(siteId), {
+                    toastMessage: `Moved "${site.name}" to Trash`
+                });
                 renderSites();
             }
         });
@@ -503,6 +483,7 @@ function setupDragAndDrop() {
             setTimeout(() => {
                 dragStarted = false;
             }, 100);
+            flushPendingSitesRefresh();
         });
         
         item.addEventListener('dragover', (e) => {
@@ -558,12 +539,12 @@ function setupDragAndDrop() {
                 const allItems = Array.from(sitesGrid.querySelectorAll('.site-item'));
                 const newOrder = allItems.map(el => el.getAttribute('data-id'));
                 
-                // Reorder sites array
-                const sites = await getSites();
-                const reorderedSites = newOrder.map(id => sites.find(s => s.id === id)).filter(Boolean);
-                
-                // Save new order
-                await saveSites(reorderedSites);
+                // Reorder the parent sites, keeping sub-sites and anything added elsewhere in the meantime
+                await runUndoableAction('Reorder sites', () => updateSites(sites => {
+                    const reorderedParents = newOrder.map(id => sites.find(s => s.id === id && !s.parentId)).filter(Boolean);
+                    const otherSites = sites.filter(s => !reorderedParents.includes(s));
+                    return [...reorderedParents, ...otherSites];
+                }));
                 
                 // Re-render to ensure everything is in sync
                 renderSites();
@@ -637,56 +618,59 @@ function deactivateMoveMode() {
     document.querySelectorAll('.site-item').forEach(item => {
         item.classList.remove('show-move-arrows', 'moving-site');
     });
+    
+    flushPendingSitesRefresh();
 }
 
 async function moveSite(targetSiteId, direction) {
     if (!selectedSiteIdForMove) return;
     
-    const sites = await getSites();
-    const selectedIndex = sites.findIndex(s => s.id === selectedSiteIdForMove);
-    const targetIndex = sites.findIndex(s => s.id === targetSiteId);
-    
-    if (selectedIndex === -1 || targetIndex === -1) return;
+    const movingSiteId = selectedSiteIdForMove;
     
     // Don't do anything if trying to move to itself
-    if (selectedIndex === targetIndex) {
+    if (movingSiteId === targetSiteId) {
         deactivateMoveMode();
         return;
     }
     
-    // Remove the selected site from its current position
-    const site = sites[selectedIndex];
-    sites.splice(selectedIndex, 1);
-    
-    // Calculate new index after removal
-    // Note: After removing selectedIndex, all indices after it shift down by 1
-    let newIndex;
-    if (selectedIndex < targetIndex) {
-        // Selected was before target, so target index decreased by 1 after removal
-        const adjustedTargetIndex = targetIndex - 1;
-        if (direction === 'left') {
-            // Move before target
-            newIndex = adjustedTargetIndex;
-        } else {
-            // Move after target
-            newIndex = adjustedTargetIndex + 1;
-        }
-    } else {
-        // Selected was after target, so target index is unchanged
-        if (direction === 'left') {
-            // Move before target
-            newIndex = targetIndex;
+    await runUndoableAction('Move site', () => updateSites(sites => {
+        const selectedIndex = sites.findIndex(s => s.id === movingSiteId);
+        const targetIndex = sites.findIndex(s => s.id === targetSiteId);
+        
+        if (selectedIndex === -1 || targetIndex === -1) return sites;
+        
+        // Remove the selected site from its current position
+        const site = sites[selectedIndex];
+        sites.splice(selectedIndex, 1);
+        
+        // Calculate new index after removal
+        // Note: After removing selectedIndex, all indices after it shift down by 1
+        let newIndex;
+        if (selectedIndex < targetIndex) {
+            // Selected was before target, so target index decreased by 1 after removal
+            const adjustedTargetIndex = targetIndex - 1;
+            if (direction === 'left') {
+                // Move before target
+                newIndex = adjustedTargetIndex;
+            } else {
+                // Move after target
+                newIndex = adjustedTargetIndex + 1;
+            }
         } else {
-            // Move after target
-            newIndex = targetIndex + 1;
+            // Selected was after target, so target index is unchanged
+            if (direction === 'left') {
+                // Move before target
+                newIndex = targetIndex;
+            } else {
+                // Move after target
+                newIndex = targetIndex + 1;
+            }
         }
-    }
-    
-    // Insert at the new position
-    sites.splice(newIndex, 0, site);
-    
-    // Save the new order
-    await saveSites(sites);
+        
+        // Insert at the new position
+        sites.splice(newIndex, 0, site);
+        return sites;
+    }));
     
     // Exit move mode and re-render
     deactivateMoveMode();
@@ -832,7 +816,7 @@ addSiteForm.addEventListener('submit', async (e) => {
     }
     
     const newSite = {
-        id: Date.now().toString(),
+        id: generateUniqueId(),
         name,
         url,
         createdAt: Date.now()
@@ -848,8 +832,7 @@ addSiteForm.addEventListener('submit', async (e) => {
         newSite.parentId = parentId;
     }
     
-    sites.push(newSite);
-    await saveSites(sites);
+    await runUndoableAction('Add site', () => updateSites(sites => [...sites, newSite]));
     
     addSiteModal.classList.remove('active');
     addSiteForm.reset();
@@ -903,6 +886,20 @@ async function openEditModal(siteId) {
     await populateParentDropdown(document.getElementById('editSiteParent'), site.id);
     document.getElementById('editSiteParent').value = site.parentId || '';
     
+    const openModeSelect = document.getElementById('editSiteOpenMode');
+    openModeSelect.innerHTML = Object.entries(SITE_OPEN_MODES)
+        .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+        .join('');
+    openModeSelect.value = getSiteOpenMode(site);
+    
+    const switchSelect = document.getElementById('editSiteSwitchToTab');
+    switchSelect.innerHTML = [
+        '<option value="">Use the global setting (Settings → Edit Sites)</option>',
+        '<option value="never">Always open it anew</option>',
+        ...Object.entries(TAB_SWITCH_MATCH_RULES).map(([rule, label]) => `<option value="${rule}">Switch to it - ${label}</option>`)
+    ].join('');
+    switchSelect.value = site.switchToOpenTab || '';
+    
     // Clear any previous errors
     hideError('editSiteName', 'editSiteNameError');
     hideError('editSiteUrl', 'editSiteUrlError');
@@ -945,6 +942,8 @@ editSiteForm.addEventListener('submit', async (e) => {
     let url = document.getElementById('editSiteUrl').value.trim();
     let iconUrl = document.getElementById('editSiteIconUrl').value.trim();
     const parentId = document.getElementById('editSiteParent').value || null;
+    const openMode = document.getElementById('editSiteOpenMode').value;
+    const switchToOpenTab = document.getElementById('editSiteSwitchToTab').value;
     
     // Validate name
     if (!name) {
@@ -990,9 +989,14 @@ editSiteForm.addEventListener('submit', async (e) => {
         iconUrl = 'https://' + iconUrl;
     }
     
-    const siteIndex = sites.findIndex(s => s.id === siteId);
+    // Moving a site in or out of a folder is labelled separately so the undo toast reads naturally
+    const previousSite = sites.find(s => s.id === siteId);
+    const folderChanged = previousSite && (previousSite.parentId || null) !== parentId;
     
-    if (siteIndex !== -1) {
+    await runUndoableAction(folderChanged ? 'Change folder' : 'Edit site', () => updateSites(sites => {
+        const siteIndex = sites.findIndex(s => s.id === siteId);
+        if (siteIndex === -1) return sites;
+        
         const updatedSite = {
             ...sites[siteIndex],
             name,
@@ -1013,9 +1017,23 @@ editSiteForm.addEventListener('submit', async (e) => {
             delete updatedSite.parentId;
         }
         
+        // This tab is the default and isn't stored
+        if (openMode && openMode !== 'current') {
+            updatedSite.openMode = openMode;
+        } else {
+            delete updatedSite.openMode;
+        }
+        
+        // Unset follows the global setting
+        if (switchToOpenTab) {
+            updatedSite.switchToOpenTab = switchToOpenTab;
+        } else {
+            delete updatedSite.switchToOpenTab;
+        }
+        
         sites[siteIndex] = updatedSite;
-        await saveSites(sites);
-    }
+        return sites;
+    }));
     
     editSiteModal.classList.remove('active');
     editSiteForm.reset();
@@ -1044,19 +1062,19 @@ deleteSiteBtn.addEventListener('click', async () => {
     const site = sites.find(s => s.id === siteId);
     const childSites = sites.filter(s => s.parentId === siteId);
     
-    let confirmMessage = 'Are you sure you want to delete this site?';
+    let confirmMessage = 'Move this site to the Trash?';
     if (childSites.length > 0) {
-        confirmMessage += `\n\nThis site has ${childSites.length} sub-site(s). They will also be deleted.`;
+        confirmMessage += `\n\nThis site has ${childSites.length} sub-site(s). They will also be moved to the Trash.`;
     }
     
     if (!confirm(confirmMessage)) {
         return;
     }
     
-    // Delete the site and all its children
-    const filteredSites = sites.filter(s => s.id !== siteId && s.parentId !== siteId);
-    
-    await saveSites(filteredSites);
+    // Move the site and all its children to the trash
+    await runUndoableAction('Delete site', () => moveSiteToTrash(siteId), {
+        toastMessage: `Moved "${site ? site.name : 'site'}" to Trash`
+    });
     
     editSiteModal.classList.remove('active');
     editSiteForm.reset();
@@ -1107,7 +1125,7 @@ duplicateSiteBtn.addEventListener('click', async () => {
     
     // Create duplicate site with all the same data
     const duplicatedSite = {
-        id: Date.now().toString(),
+        id: generateUniqueId(),
         name: newName,
         url: site.url,
         createdAt: Date.now(),
@@ -1125,8 +1143,7 @@ duplicateSiteBtn.addEventListener('click', async () => {
     }
     
     // Add the duplicated site
-    sites.push(duplicatedSite);
-    await saveSites(sites);
+    await runUndoableAction('Duplicate site', () => updateSites(sites => [...sites, duplicatedSite]));
     
     // Close modal and re-render
     editSiteModal.classList.remove('active');
@@ -1150,7 +1167,7 @@ duplicateSiteBtn.addEventListener('click', async () => {
 // Clean up Chrome's injected elements
 function cleanUpChromeUI() {
     // Remove all elements that aren't our extension's content
-    const allowedIds = ['sitesGrid', 'addSiteBtn', 'themeBtn', 'addSiteModal', 'editSiteModal', 'themeModal', 'advancedScriptsModal'];
+    const allowedIds = ['sitesGrid', 'addSiteBtn', 'themeBtn', 'addSiteModal', 'editSiteModal', 'themeModal', 'advancedScriptsModal', 'undoToast'];
     const allowedClasses = ['launchpad-container', 'button-group-container', 'add-button-container', 'theme-button-container', 'modal'];
     
     document.querySelectorAll('body > *').forEach(element => {
@@ -1166,25 +1183,19 @@ function cleanUpChromeUI() {
 }
 
 // Theme functionality
-// Load default images from folder
-async function loadDefaultImages() {
-    // Start with empty array - users can upload their own images
-    // We removed Unsplash images to comply with their attribution requirements
-    // Users can upload their own images or use image URLs
-    const defaultImages = [];
-    
-    // Load user-uploaded images from local storage
-    const result = await chrome.storage.local.get(['customImages']);
-    if (result.customImages && Array.isArray(result.customImages)) {
-        result.customImages.forEach((img, index) => {
-            defaultImages.push({
-                name: `Custom ${index + 1}`,
-                url: img
-            });
-        });
+// Uploaded image picked in the theme page (images live in IndexedDB, see images.js)
+let selectedThemeImageId = null;
+let pendingImageUpload = null;
+let themeApplyToken = 0;
+
+// Turn a theme that points at an uploaded image into one with a usable URL
+// Falls back to the default theme if the image has been deleted
+async function resolveTheme(theme) {
+    if (theme && theme.type === 'image' && theme.imageId) {
+        const url = await getImageObjectUrl(theme.imageId).catch(() => null);
+        return url ? { ...theme, value: url } : { ...DEFAULT_THEME };
     }
-    
-    return defaultImages;
+    return theme;
 }
 
 // Load and apply theme
@@ -1327,6 +1338,17 @@ function setAdaptiveTextColorForModal(brightness) {
 }
 
 function applyTheme(theme) {
+    const token = ++themeApplyToken;
+    if (theme.type === 'image' && theme.imageId && !theme.value) {
+        resolveTheme(theme).then(resolved => {
+            // A newer theme may have been applied while the image was loading
+            if (token === themeApplyToken) {
+                applyTheme(resolved);
+            }
+        });
+        return;
+    }
+    
     const body = document.body;
     
     if (theme.type === 'color') {
@@ -1365,23 +1387,66 @@ const colorOptions = document.getElementById('colorOptions');
 const imageOptions = document.getElementById('imageOptions');
 const defaultImagesContainer = document.getElementById('defaultImages');
 
-// Populate default images
+// Populate uploaded images (as thumbnails) and the storage readout
 async function populateDefaultImages() {
-    defaultImagesContainer.innerHTML = '';
-    const images = await loadDefaultImages();
+    const images = await listImages();
+    const thumbnails = await Promise.all(images.map(img => getImageObjectUrl(img.id, true)));
     
+    defaultImagesContainer.innerHTML = '';
     images.forEach((img, index) => {
         const preset = document.createElement('div');
         preset.className = 'image-preset';
-        preset.setAttribute('data-url', img.url);
-        preset.innerHTML = `<img src="${img.url}" alt="${img.name}" loading="lazy">`;
+        preset.setAttribute('data-image-id', img.id);
+        if (img.id === selectedThemeImageId) {
+            preset.classList.add('selected');
+        }
+        preset.innerHTML = `
+            <img src="${thumbnails[index]}" alt="${escapeHtml(img.name || `Image ${index + 1}`)}" loading="lazy">
+            <button type="button" class="image-preset-delete" title="Delete image">×</button>
+        `;
         preset.addEventListener('click', () => {
             document.querySelectorAll('.image-preset').forEach(p => p.classList.remove('selected'));
             preset.classList.add('selected');
-            document.getElementById('imageUrl').value = img.url;
+            selectedThemeImageId = img.id;
+            document.getElementById('imageUrl').value = '';
+        });
+        preset.querySelector('.image-preset-delete').addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteUploadedImage(img.id);
         });
         defaultImagesContainer.appendChild(preset);
     });
+    
+    const usage = await getImageUsage();
+    const usageEl = document.getElementById('imageStorageUsage');
+    if (usageEl) {
+        usageEl.textContent = usage.count > 0
+            ? `${usage.count} image(s) using ${formatByteSize(usage.bytes)} on this device`
+            : 'Upload images below to see them here';
+    }
+}
+
+// Delete an uploaded image; a background using it falls back to the default
+async function deleteUploadedImage(imageId) {
+    const { theme } = await chrome.storage.local.get(['theme']);
+    const inUse = theme && theme.imageId === imageId;
+    
+    const message = inUse
+        ? 'This image is your current background. Delete it and go back to the default background?'
+        : 'Delete this image? This cannot be undone.';
+    if (!confirm(message)) {
+        return;
+    }
+    
+    await deleteImage(imageId);
+    if (selectedThemeImageId === imageId) {
+        selectedThemeImageId = null;
+    }
+    if (inUse) {
+        await chrome.storage.local.set({ theme: { ...DEFAULT_THEME } });
+        applyTheme(DEFAULT_THEME);
+    }
+    await populateDefaultImages();
 }
 
 // Settings navigation
@@ -1411,6 +1476,28 @@ function showSettingsPage(pageId) {
     if (pageId === 'scripts') {
         renderGlobalScripts();
     }
+    
+    if (pageId === 'trash') {
+        renderTrash();
+    }
+    
+    if (pageId === 'workspaces') {
+        renderWorkspaces();
+    }
+    
+    if (pageId === 'sync') {
+        renderSyncStatus();
+    }
+    
+    if (pageId === 'integrity') {
+        renderIntegrityReport();
+    }
+    
+    if (pageId === 'importexport') {
+        renderBackups();
+        renderBookmarkResync();
+        renderStarterPackSelect();
+    }
 }
 
 // Setup navigation
@@ -1426,12 +1513,13 @@ themeBtn.addEventListener('click', async () => {
     // Show info page by default
     showSettingsPage('info');
     
-    // Populate default images for theme page
-    await populateDefaultImages();
-    
     const result = await chrome.storage.local.get(['theme', 'iconSize']);
     const theme = result.theme || { type: 'color', value: '#ffffff' };
     const iconSize = result.iconSize || 100;
+    selectedThemeImageId = theme.imageId || null;
+    
+    // Populate uploaded images for theme page
+    await populateDefaultImages();
     
     // Set current theme values (for when user navigates to theme page)
     if (theme.type === 'color') {
@@ -1446,7 +1534,7 @@ themeBtn.addEventListener('click', async () => {
         const imageRadio = document.querySelector('input[name="bgType"][value="image"]');
         if (imageRadio) {
             imageRadio.checked = true;
-            document.getElementById('imageUrl').value = theme.value || '';
+            document.getElementById('imageUrl').value = theme.imageId ? '' : (theme.value || '');
             colorOptions.style.display = 'none';
             imageOptions.style.display = 'block';
         }
@@ -1526,7 +1614,7 @@ function setupIconSizeSlider() {
     }
 }
 
-// Handle file input change for immediate preview
+// Store an uploaded image right away and pre-select it
 const localImageInput = document.getElementById('localImage');
 if (localImageInput) {
     localImageInput.addEventListener('change', async (e) => {
@@ -1539,42 +1627,32 @@ if (localImageInput) {
                 return;
             }
             
-            // Show preview in the uploaded images section
-            const reader = new FileReader();
-            reader.onload = async (event) => {
-                const dataUrl = event.target.result;
-                
-                // Add to custom images list immediately
-                const result = await chrome.storage.local.get(['customImages']);
-                const customImages = result.customImages || [];
-                if (!customImages.includes(dataUrl)) {
-                    customImages.push(dataUrl);
-                    await chrome.storage.local.set({ customImages });
-                }
+            pendingImageUpload = saveImage(file, file.name);
+            try {
+                selectedThemeImageId = await pendingImageUpload;
+                document.getElementById('imageUrl').value = '';
                 
                 // Refresh the image presets to show the new image
                 await populateDefaultImages();
-                
-                // Pre-select the uploaded image
-                const imagePresets = document.querySelectorAll('.image-preset');
-                imagePresets.forEach(preset => {
-                    if (preset.getAttribute('data-url') === dataUrl) {
-                        preset.classList.add('selected');
-                        document.getElementById('imageUrl').value = dataUrl;
-                    }
-                });
-            };
-            
-            reader.onerror = () => {
+            } catch (error) {
+                console.error('Error saving image:', error);
                 alert('Error reading image file. Please try again.');
+            } finally {
+                pendingImageUpload = null;
                 e.target.value = '';
-            };
-            
-            reader.readAsDataURL(file);
+            }
         }
     });
 }
 
+// Typing a URL replaces the picked uploaded image
+document.getElementById('imageUrl').addEventListener('input', (e) => {
+    if (e.target.value.trim()) {
+        selectedThemeImageId = null;
+        document.querySelectorAll('.image-preset').forEach(p => p.classList.remove('selected'));
+    }
+});
+
 // Theme form submission
 themeForm.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -1587,45 +1665,14 @@ themeForm.addEventListener('submit', async (e) => {
         theme = { type: 'color', value: color };
     } else {
         const imageUrl = document.getElementById('imageUrl').value.trim();
-        const localImage = document.getElementById('localImage').files[0];
         
-        if (localImage) {
-            // Convert to data URL and save to custom images
-            const reader = new FileReader();
-            
-            reader.onload = async (event) => {
-                try {
-                    const dataUrl = event.target.result;
-                    theme = { type: 'image', value: dataUrl };
-                    
-                    // Save to custom images list
-                    const result = await chrome.storage.local.get(['customImages']);
-                    const customImages = result.customImages || [];
-                    if (!customImages.includes(dataUrl)) {
-                        customImages.push(dataUrl);
-                        await chrome.storage.local.set({ customImages });
-                    }
-                    
-                    // Save icon size
-                    const iconSize = parseInt(document.getElementById('iconSize').value) || 100;
-                    await saveIconSize(iconSize);
-                    
-                    await chrome.storage.local.set({ theme });
-                    applyTheme(theme);
-                    themeModal.classList.remove('active');
-                    themeForm.reset();
-                } catch (error) {
-                    console.error('Error saving theme:', error);
-                    alert('Error saving theme. Please try again.');
-                }
-            };
-            
-            reader.onerror = () => {
-                alert('Error reading image file. Please try again.');
-            };
-            
-            reader.readAsDataURL(localImage);
-            return;
+        // An image that is still being stored gets selected when it's done
+        if (pendingImageUpload) {
+            await pendingImageUpload.catch(() => {});
+        }
+        
+        if (selectedThemeImageId) {
+            theme = { type: 'image', imageId: selectedThemeImageId };
         } else if (imageUrl) {
             theme = { type: 'image', value: imageUrl };
         } else {
@@ -1653,235 +1700,794 @@ setTimeout(cleanUpChromeUI, 500);
 const exportBtn = document.getElementById('exportBtn');
 const importBtn = document.getElementById('importBtn');
 const importFile = document.getElementById('importFile');
+const exportStatus = document.getElementById('exportStatus');
 const importStatus = document.getElementById('importStatus');
 const importChromeBtn = document.getElementById('importChromeBtn');
 const chromeImportStatus = document.getElementById('chromeImportStatus');
 
-// Export all data
+// Export all data, or only what is picked in the export picker
 exportBtn.addEventListener('click', async () => {
-    // Get all data from storage
-    const allData = await chrome.storage.local.get(null);
-    
-    // Create export object with metadata
-    const exportData = {
-        version: '1.0.0',
-        exportDate: new Date().toISOString(),
-        data: {
-            sites: allData.sites || [],
-            theme: allData.theme || null,
-            iconSize: allData.iconSize || 100,
-            customImages: allData.customImages || [],
-            showEditOnHover: allData.showEditOnHover || false,
-            globalScripts: allData.globalScripts || []
+    try {
+        const date = new Date().toISOString().split('T')[0];
+        const selection = document.getElementById('exportSelectedOnly').checked ? getExportSelection() : null;
+        
+        // Bookmark and CSV files only carry the sites of the current workspace
+        const format = document.getElementById('exportFormat').value;
+        if (format === 'bookmarks' || format === 'csv') {
+            const sites = await getSites();
+            const exported = selection ? selectExportData({ sites }, selection).sites : sites;
+            if (format === 'csv') {
+                downloadFile(buildSitesCsv(exported), 'text/csv', `site-launcher-sites-${date}.csv`);
+            } else {
+                downloadFile(buildNetscapeBookmarks(exported), 'text/html', `site-launcher-bookmarks-${date}.html`);
+            }
+            return;
         }
-    };
+        
+        // Check the passphrase before doing any work
+        const encrypt = document.getElementById('exportEncrypt').checked;
+        const passphrase = document.getElementById('exportPassphrase').value;
+        if (encrypt) {
+            if (!passphrase) {
+                showExportStatus('Please enter a passphrase to encrypt the export', 'error');
+                return;
+            }
+            if (passphrase !== document.getElementById('exportPassphraseConfirm').value) {
+                showExportStatus('The passphrases don\'t match', 'error');
+                return;
+            }
+        }
+        
+        const exportData = await buildExportPayload();
+        if (selection) {
+            exportData.data = selectExportData(exportData.data, selection);
+            // Partial exports are always merged into the data they are imported into
+            exportData.partial = true;
+        }
+        
+        // Themes only reference uploaded images unless the user asks to bundle them
+        if (document.getElementById('exportIncludeImages').checked) {
+            const themes = [exportData.data.theme, ...(exportData.data.workspaces || []).map(w => w.theme)];
+            exportData.data.images = await exportImages(selection ? themes.filter(t => t && t.imageId).map(t => t.imageId) : null);
+        }
+        
+        const filename = `site-launcher-${selection ? 'selection' : 'data'}-${date}${encrypt ? '.encrypted' : ''}.json`;
+        downloadJson(encrypt ? await encryptExport(exportData, passphrase) : exportData, filename);
+        exportStatus.style.display = 'none';
+    } catch (error) {
+        showExportStatus(`Error: ${error.message}`, 'error');
+        console.error('Export error:', error);
+    }
+});
+
+function showExportStatus(message, type) {
+    exportStatus.textContent = message;
+    exportStatus.style.display = 'block';
+    
+    if (type === 'success') {
+        exportStatus.style.background = '#e8f5e9';
+        exportStatus.style.color = '#2e7d32';
+        exportStatus.style.border = '1px solid #4caf50';
+    } else {
+        exportStatus.style.background = '#ffebee';
+        exportStatus.style.color = '#c62828';
+        exportStatus.style.border = '1px solid #f44336';
+    }
+}
+
+document.getElementById('exportEncrypt').addEventListener('change', (e) => {
+    document.getElementById('exportPassphraseGroup').style.display = e.target.checked ? 'block' : 'none';
+    if (!e.target.checked) {
+        document.getElementById('exportPassphrase').value = '';
+        document.getElementById('exportPassphraseConfirm').value = '';
+    }
+});
+
+// Bundling images and encryption only apply to JSON exports
+document.getElementById('exportFormat').addEventListener('change', (e) => {
+    document.getElementById('exportIncludeImages').disabled = e.target.value !== 'json';
+    document.getElementById('exportEncrypt').disabled = e.target.value !== 'json';
+    document.getElementById('exportPicker').classList.toggle('sites-only', e.target.value !== 'json');
+});
+
+// The export picker lists the sites (folders with their sites), global scripts and other parts of the data
+async function renderExportPicker() {
+    const picker = document.getElementById('exportPicker');
+    const sites = await getSites();
+    const result = await chrome.storage.local.get(['globalScripts']);
+    const globalScripts = result.globalScripts || [];
+    
+    const siteItem = (site) => `
+        <label class="tree-picker-item" title="${escapeHtml(site.url)}">
+            <input type="checkbox" data-export-site-id="${escapeHtml(site.id)}">
+            <span>${escapeHtml(site.name)}</span>
+        </label>
+    `;
+    
+    const siteTree = sites.filter(site => !site.parentId).map(site => {
+        const children = sites.filter(s => s.parentId === site.id);
+        if (children.length === 0) return siteItem(site);
+        return `
+            <details class="tree-picker-folder">
+                <summary>
+                    <input type="checkbox" class="tree-picker-folder-checkbox">
+                    <span>${escapeHtml(site.name)}</span>
+                    <small>${children.length}</small>
+                </summary>
+                <div class="tree-picker-children">${[site, ...children].map(siteItem).join('')}</div>
+            </details>
+        `;
+    }).join('');
+    
+    picker.innerHTML = `
+        <h4>Sites & Folders</h4>
+        ${siteTree || '<p>No sites.</p>'}
+        <div class="export-picker-json-only">
+            <h4>Global Scripts</h4>
+            ${globalScripts.map(script => `
+                <label class="tree-picker-item">
+                    <input type="checkbox" data-export-script-id="${escapeHtml(script.id)}">
+                    <span>${escapeHtml(script.name || 'Unnamed script')}</span>
+                </label>
+            `).join('') || '<p>No global scripts.</p>'}
+            <h4>Theme & Settings</h4>
+            <label class="tree-picker-item"><input type="checkbox" data-export-section="theme"><span>Theme</span></label>
+            <label class="tree-picker-item"><input type="checkbox" data-export-section="settings"><span>Icon size and edit button settings</span></label>
+            <label class="tree-picker-item"><input type="checkbox" data-export-section="workspaces"><span>Other workspaces</span></label>
+        </div>
+    `;
     
-    // Create JSON blob
-    const json = JSON.stringify(exportData, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
+    picker.querySelectorAll('.tree-picker-folder-checkbox').forEach(checkbox => {
+        // Don't open or close the folder when its checkbox is clicked
+        checkbox.addEventListener('click', (e) => e.stopPropagation());
+        checkbox.addEventListener('change', () => {
+            checkbox.closest('details').querySelectorAll('input[data-export-site-id]').forEach(input => {
+                input.checked = checkbox.checked;
+            });
+            updateExportPickerFolders(picker);
+        });
+    });
+    picker.querySelectorAll('input[data-export-site-id]').forEach(input => {
+        input.addEventListener('change', () => updateExportPickerFolders(picker));
+    });
+}
+
+function updateExportPickerFolders(picker) {
+    picker.querySelectorAll('.tree-picker-folder-checkbox').forEach(checkbox => {
+        const inputs = Array.from(checkbox.closest('details').querySelectorAll('input[data-export-site-id]'));
+        const picked = inputs.filter(input => input.checked).length;
+        checkbox.checked = picked > 0 && picked === inputs.length;
+        checkbox.indeterminate = picked > 0 && picked < inputs.length;
+    });
+}
+
+function getExportSelection() {
+    const picker = document.getElementById('exportPicker');
+    const checkedValues = (attribute) => new Set(Array.from(picker.querySelectorAll(`input[${attribute}]:checked`), input => input.getAttribute(attribute)));
+    const sections = checkedValues('data-export-section');
+    return {
+        siteIds: checkedValues('data-export-site-id'),
+        globalScriptIds: checkedValues('data-export-script-id'),
+        theme: sections.has('theme'),
+        settings: sections.has('settings'),
+        workspaces: sections.has('workspaces')
+    };
+}
+
+document.getElementById('exportSelectedOnly').addEventListener('change', async (e) => {
+    const picker = document.getElementById('exportPicker');
+    if (e.target.checked) {
+        await renderExportPicker();
+    }
+    picker.style.display = e.target.checked ? 'block' : 'none';
+});
+
+// Download an object as a pretty-printed JSON file
+function downloadJson(exportData, filename) {
+    downloadFile(JSON.stringify(exportData, null, 2), 'application/json', filename);
+}
+
+// Download text content as a file
+function downloadFile(content, type, filename) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     
     // Create download link
     const link = document.createElement('a');
     link.href = url;
-    link.download = `site-launcher-data-${new Date().toISOString().split('T')[0]}.json`;
+    link.download = filename;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
     
     // Clean up
     setTimeout(() => URL.revokeObjectURL(url), 100);
-});
+}
+
+// Pull the data object out of any supported export format, validate it and upgrade it to the current schema
+function extractImportData(importedData) {
+    // Support both old format (array of sites) and new format (object with data property)
+    let dataToImport;
+    if (Array.isArray(importedData)) {
+        // Old format - just sites array
+        dataToImport = { sites: importedData };
+    } else if (importedData.data && typeof importedData.data === 'object') {
+        // New format - object with data property
+        dataToImport = importedData.data;
+    } else if (importedData.sites) {
+        // Direct data object
+        dataToImport = importedData;
+    } else {
+        throw new Error('Invalid JSON format: Expected an array of sites or a data object');
+    }
+    
+    // Leave out everything that doesn't validate (see validation.js)
+    const { data: validData, errors } = validateImportData(dataToImport);
+    
+    // Upgrade data from older exports to the current schema
+    const fromVersion = Array.isArray(importedData) ? 1 : getPayloadSchemaVersion(importedData);
+    const migrated = migrateData(validData, fromVersion);
+    if (Array.isArray(validData.workspaces)) {
+        migrated.workspaces = validData.workspaces.map(workspace => ({
+            ...migrateData(workspace, fromVersion),
+            name: workspace.name
+        }));
+    }
+    return { data: migrated, errors };
+}
+
+// Whether validation left anything of a file with errors to import
+function hasImportableData(data) {
+    return ['sites', 'globalScripts', 'workspaces', 'images'].some(key => Array.isArray(data[key]) && data[key].length > 0)
+        || !!data.theme || data.iconSize !== undefined || data.showEditOnHover !== undefined;
+}
 
 // Enable import button when file is selected
 importFile.addEventListener('change', (e) => {
     importBtn.disabled = !e.target.files || e.target.files.length === 0;
+    document.getElementById('importPassphraseGroup').style.display = 'none';
+    document.getElementById('importPassphrase').value = '';
+});
+
+// A file dropped anywhere on the import section is picked as if chosen in the file input
+const importSection = importFile.closest('.importexport-section');
+importSection.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    importSection.classList.add('drop-target');
+});
+importSection.addEventListener('dragleave', (e) => {
+    if (!importSection.contains(e.relatedTarget)) {
+        importSection.classList.remove('drop-target');
+    }
+});
+importSection.addEventListener('drop', (e) => {
+    importSection.classList.remove('drop-target');
+    if (e.dataTransfer.files.length === 0) return;
+    e.preventDefault();
+    importFile.files = e.dataTransfer.files;
+    importFile.dispatchEvent(new Event('change'));
 });
 
-// Import all data
+// Import all data - nothing is written until the preview is applied
 importBtn.addEventListener('click', async () => {
     const file = importFile.files[0];
     if (!file) {
-        showImportStatus('Please select a JSON file', 'error');
+        showImportStatus('Please select a file to import', 'error');
         return;
     }
     
-    const importMode = document.querySelector('input[name="importMode"]:checked').value;
+    let importMode = document.querySelector('input[name="importMode"]:checked').value;
     
     try {
         const text = await file.text();
-        const importedData = JSON.parse(text);
-        
-        // Support both old format (array of sites) and new format (object with data property)
-        let dataToImport;
-        if (Array.isArray(importedData)) {
-            // Old format - just sites array
-            dataToImport = { sites: importedData };
-        } else if (importedData.data && typeof importedData.data === 'object') {
-            // New format - object with data property
-            dataToImport = importedData.data;
-        } else if (importedData.sites) {
-            // Direct data object
-            dataToImport = importedData;
-        } else {
-            throw new Error('Invalid JSON format: Expected an array of sites or a data object');
-        }
-        
-        const importedSites = dataToImport.sites || [];
-        
-        // Validate sites if present
-        if (importedSites.length > 0) {
-            for (const site of importedSites) {
-                if (!site.name || !site.url) {
-                    throw new Error('Invalid site format: Each site must have "name" and "url" fields');
-                }
-            }
+        const notes = [];
+        let extractedData;
+        let validationErrors = [];
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch (e) {
+            // Bookmarks HTML and some other formats aren't JSON
         }
         
-        let finalSites;
-        let message = [];
-        
-        if (importMode === 'replace') {
-            // Replace all data
-            if (importedSites.length > 0) {
-                finalSites = importedSites.map((site, index) => ({
-                    ...site,
-                    id: site.id || `imported-${Date.now()}-${index}`,
-                    createdAt: site.createdAt || Date.now()
-                }));
-                await saveSites(finalSites);
-                message.push(`${importedSites.length} site(s) replaced`);
-            }
-            
-            // Import theme
-            if (dataToImport.theme) {
-                await chrome.storage.local.set({ theme: dataToImport.theme });
-                applyTheme(dataToImport.theme);
-                message.push('Theme imported');
+        // Other extensions' exports are converted by an import adapter (see importadapters.js)
+        const adapterFile = { name: file.name, text, json };
+        const adapter = detectImportAdapter(adapterFile);
+        if (adapter) {
+            const { sites, skipped, flattened } = readImportWithAdapter(adapter, adapterFile);
+            if (sites.length === 0) {
+                throw new Error(`No sites with a supported URL found in this ${adapter.name} file`);
             }
-            
-            // Import icon size
-            if (dataToImport.iconSize !== undefined) {
-                await saveIconSize(dataToImport.iconSize);
-                message.push('Icon size imported');
-            }
-            
-            // Import custom images
-            if (dataToImport.customImages && Array.isArray(dataToImport.customImages)) {
-                await chrome.storage.local.set({ customImages: dataToImport.customImages });
-                message.push(`${dataToImport.customImages.length} custom image(s) imported`);
-            }
-            
-            // Import showEditOnHover
-            if (dataToImport.showEditOnHover !== undefined) {
-                await setShowEditOnHover(dataToImport.showEditOnHover);
-                message.push('Settings imported');
+            notes.push(`converted from ${adapter.name}`);
+            if (skipped > 0) {
+                notes.push(`${skipped} link(s) with unsupported URLs skipped`);
             }
-            
-            // Import global scripts
-            if (dataToImport.globalScripts && Array.isArray(dataToImport.globalScripts)) {
-                await chrome.storage.local.set({ globalScripts: dataToImport.globalScripts });
-                message.push(`${dataToImport.globalScripts.length} global script(s) imported`);
+            if (flattened > 0) {
+                notes.push(`${flattened} nested folder(s) merged into their top-level folder`);
             }
-            
-            showImportStatus(`Successfully imported: ${message.join(', ')}. All data replaced.`, 'success');
+            extractedData = { sites };
+        } else if (!json) {
+            throw new Error('This file is not a Site Launcher export or a format that can be imported');
         } else {
-            // Merge with existing data
-            if (importedSites.length > 0) {
-                const existingSites = await getSites();
-                const existingUrls = new Set(existingSites.map(s => s.url));
-                
-                const newSites = importedSites
-                    .filter(site => !existingUrls.has(site.url))
-                    .map((site, index) => ({
-                        ...site,
-                        id: site.id || `imported-${Date.now()}-${index}`,
-                        createdAt: site.createdAt || Date.now()
-                    }));
-                
-                finalSites = [...existingSites, ...newSites];
-                await saveSites(finalSites);
-                
-                const skippedCount = importedSites.length - newSites.length;
-                if (newSites.length > 0) {
-                    message.push(`${newSites.length} new site(s) added`);
-                }
-                if (skippedCount > 0) {
-                    message.push(`${skippedCount} duplicate site(s) skipped`);
-                }
-            }
-            
-            // Merge theme (only if not already set, or if imported theme exists)
-            if (dataToImport.theme) {
-                const currentTheme = await chrome.storage.local.get(['theme']);
-                if (!currentTheme.theme || importMode === 'replace') {
-                    await chrome.storage.local.set({ theme: dataToImport.theme });
-                    applyTheme(dataToImport.theme);
-                    message.push('Theme imported');
+            let importedData = json;
+            if (isEncryptedExport(importedData)) {
+                const passphraseInput = document.getElementById('importPassphrase');
+                if (!passphraseInput.value) {
+                    document.getElementById('importPassphraseGroup').style.display = 'block';
+                    passphraseInput.focus();
+                    showImportStatus('This file is encrypted. Enter its passphrase and try again.', 'error');
+                    return;
                 }
+                importedData = await decryptExport(importedData, passphraseInput.value);
             }
-            
-            // Merge icon size
-            if (dataToImport.iconSize !== undefined) {
-                await saveIconSize(dataToImport.iconSize);
-                message.push('Icon size updated');
-            }
-            
-            // Merge custom images
-            if (dataToImport.customImages && Array.isArray(dataToImport.customImages)) {
-                const currentImages = await chrome.storage.local.get(['customImages']);
-                const existingImages = currentImages.customImages || [];
-                const newImages = dataToImport.customImages.filter(img => !existingImages.includes(img));
-                if (newImages.length > 0) {
-                    await chrome.storage.local.set({ customImages: [...existingImages, ...newImages] });
-                    message.push(`${newImages.length} new custom image(s) added`);
-                }
+            const { data, errors } = extractImportData(importedData);
+            if (errors.length > 0 && !hasImportableData(data)) {
+                throw new Error(`Nothing in this file can be imported. ${errors.slice(0, 5).map(formatValidationError).join('; ')}${errors.length > 5 ? `; and ${errors.length - 5} more` : ''}`);
             }
-            
-            // Merge showEditOnHover
-            if (dataToImport.showEditOnHover !== undefined) {
-                await setShowEditOnHover(dataToImport.showEditOnHover);
-                message.push('Settings updated');
+            extractedData = data;
+            validationErrors = errors;
+            // A partial export doesn't say anything about what it leaves out, so it can't replace everything
+            if (importedData.partial === true && importMode === 'replace') {
+                importMode = 'merge';
+                notes.push('partial export merged rather than replacing your data');
             }
-            
-            // Merge global scripts
-            if (dataToImport.globalScripts && Array.isArray(dataToImport.globalScripts)) {
-                let addedCount = 0;
-                await updateGlobalScripts(currentScripts => {
-                    const existingNames = new Set(currentScripts.map(s => s.name));
-                    const toAdd = dataToImport.globalScripts.filter(s => !existingNames.has(s.name));
-                    addedCount = toAdd.length;
-                    return toAdd.length > 0 ? [...currentScripts, ...toAdd] : currentScripts;
-                });
-                if (addedCount > 0) {
-                    message.push(`${addedCount} new global script(s) added`);
-                }
+        }
+        
+        if (validationErrors.length > 0) {
+            notes.push(`${validationErrors.length} invalid entr${validationErrors.length === 1 ? 'y' : 'ies'} left out`);
+        }
+        await openImportPreview(extractedData, importMode, { source: file.name, notes, errors: validationErrors });
+    } catch (error) {
+        showImportStatus(`Error: ${error.message}`, 'error');
+        console.error('Import error:', error);
+    }
+});
+
+// ==================== Import Preview ====================
+// Shows what an import would change (see importpreview.js) and lets the user resolve each conflict
+
+const importPreviewModal = document.getElementById('importPreviewModal');
+let pendingImport = null;
+
+const IMPORT_PREVIEW_SECTIONS = {
+    sites: 'Sites & Folders',
+    globalScripts: 'Global Scripts',
+    settings: 'Settings',
+    workspaces: 'Other Workspaces'
+};
+
+const IMPORT_STATUS_LABELS = {
+    new: 'New',
+    changed: 'Changed',
+    unchanged: 'Unchanged',
+    removed: 'Removed'
+};
+
+// What the preview compares incoming data against
+async function getImportComparisonData() {
+    const result = await chrome.storage.local.get(['globalScripts', 'theme', 'iconSize', 'showEditOnHover']);
+    const { workspaces, activeWorkspaceId } = await getWorkspaces();
+    return {
+        sites: await getSites(),
+        globalScripts: result.globalScripts || [],
+        theme: result.theme,
+        iconSize: result.iconSize,
+        showEditOnHover: result.showEditOnHover,
+        workspaces: workspaces.filter(w => w.id !== activeWorkspaceId)
+    };
+}
+
+// Open the preview for extracted import data
+// options.source names where the data came from, options.notes are shown with the result,
+// options.showStatus reports it (the JSON import's status by default) and options.onApplied runs after,
+// options.errors lists what validation left out of the data
+async function openImportPreview(data, mode, options = {}) {
+    const preview = buildImportPreview(await getImportComparisonData(), data, mode);
+    pendingImport = {
+        data,
+        mode,
+        preview,
+        source: options.source || '',
+        notes: options.notes || [],
+        showStatus: options.showStatus || showImportStatus,
+        onApplied: options.onApplied || null
+    };
+    
+    document.getElementById('importPreviewSource').textContent = `${options.source ? `${options.source} • ` : ''}${mode === 'replace' ? 'Replace all existing data' : 'Merge with existing data'}`;
+    document.getElementById('importPreviewShowUnchanged').checked = false;
+    renderImportPreviewErrors(options.errors || []);
+    renderImportPreview();
+    importPreviewModal.classList.add('active');
+}
+
+function renderImportPreview() {
+    const { preview } = pendingImport;
+    const showUnchanged = document.getElementById('importPreviewShowUnchanged').checked;
+    const container = document.getElementById('importPreviewContainer');
+    
+    const counts = {};
+    preview.items.forEach(item => {
+        counts[item.status] = (counts[item.status] || 0) + 1;
+    });
+    document.getElementById('importPreviewSummary').textContent = Object.keys(IMPORT_STATUS_LABELS)
+        .filter(status => counts[status])
+        .map(status => `${counts[status]} ${IMPORT_STATUS_LABELS[status].toLowerCase()}`)
+        .join(' • ') || 'Nothing to import';
+    
+    const html = Object.entries(IMPORT_PREVIEW_SECTIONS).map(([section, title]) => {
+        const items = preview.items.filter(item => item.section === section && (showUnchanged || item.status !== 'unchanged'));
+        if (items.length === 0) return '';
+        
+        return `
+            <div class="import-preview-section">
+                <h3>${title}</h3>
+                ${items.map(item => `
+                    <div class="import-preview-item status-${item.status}">
+                        <div class="import-preview-item-info">
+                            <div class="import-preview-item-title">
+                                <span class="import-preview-badge">${IMPORT_STATUS_LABELS[item.status]}</span>
+                                <strong>${escapeHtml(item.label || '(unnamed)')}</strong>
+                                ${item.kind === 'folder' ? '<small>folder</small>' : ''}
+                            </div>
+                            ${item.detail ? `<p class="import-preview-detail">${escapeHtml(item.detail)}</p>` : ''}
+                            ${(item.changes || []).map(change => `
+                                <p class="import-preview-change"><span>${escapeHtml(change.field)}:</span> ${escapeHtml(change.mine)} → ${escapeHtml(change.theirs)}</p>
+                            `).join('')}
+                            ${item.scripts ? `
+                                <p class="import-preview-script-warning">${item.scriptsKey
+                                    ? `Brings ${item.scripts.length} script(s) that run on ${escapeHtml(item.scriptOrigin)}. The site is imported without them unless you include them - check the code first.`
+                                    : `Runs on pages matching ${escapeHtml(item.scriptOrigin)}. Skipped unless you choose to take it - check the code first.`}</p>
+                                ${item.scriptsKey ? `
+                                    <label class="import-preview-include-scripts">
+                                        <input type="checkbox" data-key="${escapeHtml(item.key)}" ${item.includeScripts ? 'checked' : ''}>
+                                        Include its scripts
+                                    </label>
+                                ` : ''}
+                                ${item.scripts.map(script => `
+                                    <p class="import-preview-change"><span>${escapeHtml(script.timing || 'document_end')}${!item.scriptsKey ? '' : script.runAlways !== false ? ', on every visit' : ', when opened from the launcher'}:</span></p>
+                                    <pre class="import-preview-script-code">${escapeHtml(script.code || '')}</pre>
+                                `).join('')}
+                            ` : ''}
+                        </div>
+                        ${item.status === 'unchanged' ? '' : `
+                            <select class="import-preview-resolution" data-key="${escapeHtml(item.key)}">
+                                ${item.options.map(option => `<option value="${option}" ${item.resolution === option ? 'selected' : ''}>${getImportOptionLabel(item, option)}</option>`).join('')}
+                            </select>
+                        `}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }).join('');
+    
+    container.innerHTML = html || '<p style="color: #666; font-size: 14px;">The import doesn\'t change anything.</p>';
+    
+    container.querySelectorAll('.import-preview-resolution').forEach(select => {
+        select.addEventListener('change', () => {
+            const item = preview.items.find(i => i.key === select.getAttribute('data-key'));
+            if (item) item.resolution = select.value;
+        });
+    });
+    
+    container.querySelectorAll('.import-preview-include-scripts input').forEach(input => {
+        input.addEventListener('change', () => {
+            const item = preview.items.find(i => i.key === input.getAttribute('data-key'));
+            if (!item) return;
+            item.includeScripts = input.checked;
+            // Scripts only come along with the incoming copy of a site we already have
+            if (input.checked && item.resolution === 'mine') {
+                item.resolution = 'theirs';
+                renderImportPreview();
             }
-            
-            showImportStatus(`Successfully imported: ${message.join(', ')}.`, 'success');
+        });
+    });
+}
+
+// New and removed items read better as add/skip and remove/keep
+function getImportOptionLabel(item, option) {
+    if (item.status === 'new') return option === 'theirs' ? 'Add' : 'Skip';
+    if (item.status === 'removed') return option === 'theirs' ? 'Remove' : 'Keep';
+    return IMPORT_RESOLUTION_LABELS[option];
+}
+
+// Set every conflict that allows it to the same resolution
+function setAllImportResolutions(resolution) {
+    pendingImport.preview.items
+        // Global scripts that bring code are decided one by one, after reading it (a site's scripts have their own checkbox)
+        .filter(item => item.status === 'changed' && item.options.includes(resolution) && !(item.scripts && !item.scriptsKey))
+        .forEach(item => {
+            item.resolution = resolution;
+        });
+    renderImportPreview();
+}
+
+function renderImportPreviewErrors(errors) {
+    const container = document.getElementById('importPreviewErrors');
+    container.style.display = errors.length > 0 ? 'block' : 'none';
+    container.innerHTML = errors.length === 0 ? '' : `
+        <strong>${errors.length} problem(s) found in the file. These entries are left out, and the rest can be imported:</strong>
+        <ul>${errors.map(error => `<li><code>${escapeHtml(error.path)}</code> ${escapeHtml(error.message)}</li>`).join('')}</ul>
+    `;
+}
+
+function closeImportPreview() {
+    pendingImport = null;
+    importPreviewModal.classList.remove('active');
+}
+
+// Write the import as resolved in the preview
+async function applyImportPreview() {
+    const { data, mode, preview, source, notes, showStatus, onApplied } = pendingImport;
+    const resolutions = Object.fromEntries(preview.items.map(item => [item.key, item.resolution]));
+    preview.items.filter(item => item.scriptsKey).forEach(item => {
+        resolutions[item.scriptsKey] = item.includeScripts ? 'theirs' : 'mine';
+    });
+    const applyBtn = document.getElementById('applyImportBtn');
+    applyBtn.disabled = true;
+    
+    try {
+        const imageCount = Array.isArray(data.images) ? data.images.length : 0;
+        const dataToImport = await importBundledImages(data);
+        
+        // Replacing everything is destructive - keep a restorable snapshot first
+        if (mode === 'replace') {
+            await createBackup('before-import', source ? `Before importing ${source}` : '');
+        }
+        
+        // Everything below can be undone as a single step
+        const undoSnapshot = await captureUndoSnapshot();
+        
+        const current = await getImportComparisonData();
+        let result = null;
+        await updateSites(sites => {
+            result = resolveImport({ ...current, sites }, dataToImport, mode, resolutions);
+            return result.sites;
+        });
+        if (result.globalScripts) {
+            await updateGlobalScripts(() => result.globalScripts, { raw: true });
+        }
+        if (result.settings.theme !== undefined) {
+            await chrome.storage.local.set({ theme: result.settings.theme });
+        }
+        if (result.settings.iconSize !== undefined) {
+            await saveIconSize(result.settings.iconSize);
+        }
+        if (result.settings.showEditOnHover !== undefined) {
+            await setShowEditOnHover(result.settings.showEditOnHover);
+        }
+        for (const workspaceId of result.workspaces.remove) {
+            await deleteWorkspace(workspaceId);
+        }
+        for (const workspace of result.workspaces.create) {
+            await createWorkspace(workspace.name || 'Imported', workspace);
+        }
+        
+        await commitUndoEntry('Import data', undoSnapshot, { toastMessage: mode === 'replace' ? 'All data replaced by import' : 'Data imported' });
+        
+        const message = describeImportCounts(result);
+        if (imageCount > 0) {
+            message.unshift(`${imageCount} image(s) imported`);
+        }
+        message.push(...notes);
+        let status = `Import complete: ${message.join(', ') || 'nothing changed'}.`;
+        showStatus(status, 'success');
+        
+        closeImportPreview();
+        if (onApplied) {
+            onApplied();
+        } else {
+            importFile.value = '';
+            importBtn.disabled = true;
+            document.getElementById('importPassphraseGroup').style.display = 'none';
+            document.getElementById('importPassphrase').value = '';
         }
         
-        // Reset file input
-        importFile.value = '';
-        importBtn.disabled = true;
+        // Imported data is a common source of broken records
+        const issues = await runIntegrityCheck();
+        if (issues.length > 0) {
+            status += ` Found ${issues.length} problem(s) in the data - see Settings → Data Check.`;
+            showStatus(status, 'success');
+        }
         
         // Reload everything
         renderSites();
         loadTheme();
         loadIconSize();
         renderGlobalScripts();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+        console.error('Import error:', error);
+        closeImportPreview();
+    } finally {
+        applyBtn.disabled = false;
+    }
+}
+
+function describeImportCounts(result) {
+    const message = [];
+    const describe = (counts, noun) => {
+        if (!counts) return;
+        if (counts.added > 0) message.push(`${counts.added} ${noun}(s) added`);
+        if (counts.updated > 0) message.push(`${counts.updated} ${noun}(s) updated`);
+        if (counts.kept > 0) message.push(`${counts.kept} of your ${noun}(s) kept`);
+        if (counts.removed > 0) message.push(`${counts.removed} ${noun}(s) removed`);
+    };
+    describe(result.counts.sites, 'site');
+    describe(result.counts.globalScripts, 'global script');
+    const settingCount = Object.keys(result.settings).length;
+    if (settingCount > 0) message.push(`${settingCount} setting(s) updated`);
+    if (result.workspaces.create.length > 0) message.push(`${result.workspaces.create.length} workspace(s) imported`);
+    return message;
+}
+
+document.getElementById('importPreviewShowUnchanged').addEventListener('change', renderImportPreview);
+document.getElementById('importPreviewTakeAllBtn').addEventListener('click', () => setAllImportResolutions('theirs'));
+document.getElementById('importPreviewKeepAllBtn').addEventListener('click', () => setAllImportResolutions('mine'));
+document.getElementById('cancelImportBtn').addEventListener('click', closeImportPreview);
+document.getElementById('applyImportBtn').addEventListener('click', applyImportPreview);
+
+// Replace everything with already extracted and upgraded data, emptying lists the data has none of
+// Used to restore backups, which are complete snapshots and need no preview
+async function restoreImportedData(dataToImport) {
+    await updateSites(() => (dataToImport.sites || []).map((site, index) => ({
+        ...site,
+        id: site.id || `imported-${Date.now()}-${index}`,
+        createdAt: site.createdAt || Date.now()
+    })));
+    
+    if (dataToImport.theme) {
+        await chrome.storage.local.set({ theme: dataToImport.theme });
+        applyTheme(dataToImport.theme);
+    } else {
+        await chrome.storage.local.remove('theme');
+        applyTheme(DEFAULT_THEME);
+    }
+    
+    if (dataToImport.iconSize !== undefined) {
+        await saveIconSize(dataToImport.iconSize);
+    }
+    if (dataToImport.showEditOnHover !== undefined) {
+        await setShowEditOnHover(dataToImport.showEditOnHover);
+    }
+    if (Array.isArray(dataToImport.globalScripts)) {
+        await updateGlobalScripts(() => dataToImport.globalScripts);
+    }
+    
+    // Swap the other workspaces for the ones in the data
+    if (Array.isArray(dataToImport.workspaces)) {
+        const { workspaces, activeWorkspaceId } = await getWorkspaces();
+        for (const workspace of workspaces) {
+            if (workspace.id !== activeWorkspaceId) {
+                await deleteWorkspace(workspace.id);
+            }
+        }
+        for (const workspace of dataToImport.workspaces) {
+            await createWorkspace(workspace.name || 'Imported', workspace);
+        }
+    }
+}
+
+// ==================== Backups ====================
+// Snapshots are taken by the service worker on a schedule and by this page before destructive
+// operations (see backups.js). They are restored like a replace import.
+
+const BACKUP_INTERVAL_OPTIONS = [
+    { minutes: 0, label: 'Off' },
+    { minutes: 6 * 60, label: 'Every 6 hours' },
+    { minutes: 24 * 60, label: 'Daily' },
+    { minutes: 7 * 24 * 60, label: 'Weekly' }
+];
+
+function describeBackupSummary(summary) {
+    const parts = [`${summary.sites} site(s)`];
+    if (summary.folders > 0) parts.push(`${summary.folders} folder(s)`);
+    parts.push(`${summary.globalScripts} global script(s)`);
+    if (summary.workspaces > 1) {
+        parts.push(`${summary.workspaces} workspaces (${summary.otherWorkspaceSites} more site(s) in the others)`);
+    }
+    return parts.join(' • ');
+}
+
+// Render backup settings and the list of backups on the Import/Export page
+async function renderBackups() {
+    const container = document.getElementById('backupsContainer');
+    if (!container) return;
+    
+    const settings = await getBackupSettings();
+    const intervalSelect = document.getElementById('backupInterval');
+    if (intervalSelect.options.length === 0) {
+        BACKUP_INTERVAL_OPTIONS.forEach(option => {
+            intervalSelect.appendChild(new Option(option.label, option.minutes));
+        });
+    }
+    intervalSelect.value = settings.intervalMinutes;
+    document.getElementById('backupKeepCount').value = settings.keepCount;
+    document.getElementById('backupMaxAgeDays').value = settings.maxAgeDays;
+    
+    const backups = await listBackups();
+    if (backups.length === 0) {
+        container.innerHTML = '<p style="color: #666; font-size: 13px;">No backups yet.</p>';
+        return;
+    }
+    
+    container.innerHTML = backups.map(backup => `
+        <div class="backup-item">
+            <div>
+                <h4>${escapeHtml(backup.label)}</h4>
+                <p>${escapeHtml(new Date(backup.createdAt).toLocaleString())} • ${describeBackupSummary(backup.summary)}</p>
+            </div>
+            <div class="backup-item-actions">
+                <button type="button" class="restore-backup-btn" data-backup-id="${backup.id}">Restore</button>
+                <button type="button" class="delete-backup-btn" data-backup-id="${backup.id}" title="Delete backup">Delete</button>
+            </div>
+        </div>
+    `).join('');
+    
+    container.querySelectorAll('.restore-backup-btn').forEach(btn => {
+        btn.addEventListener('click', () => restoreBackup(btn.getAttribute('data-backup-id')));
+    });
+    
+    container.querySelectorAll('.delete-backup-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            if (confirm('Delete this backup?')) {
+                await deleteBackup(btn.getAttribute('data-backup-id'));
+                renderBackups();
+            }
+        });
+    });
+}
+
+// Put everything back the way it was when the backup was taken
+async function restoreBackup(backupId) {
+    const backup = await getBackup(backupId);
+    if (!backup) return;
+    
+    const when = new Date(backup.createdAt).toLocaleString();
+    if (!confirm(`Replace all your sites, global scripts, theme and workspaces with the backup from ${when}?\n\nYour current data is backed up first.`)) {
+        return;
+    }
+    
+    try {
+        await createBackup('before-restore');
         
-        // Close modal after a delay
-        setTimeout(() => {
-            themeModal.classList.remove('active');
-            importStatus.style.display = 'none';
-        }, 3000);
+        const undoSnapshot = await captureUndoSnapshot();
+        const dataToImport = await importBundledImages(extractImportData(backup.payload).data);
+        await restoreImportedData(dataToImport);
+        await commitUndoEntry('Restore backup', undoSnapshot, { toastMessage: `Restored backup from ${when}` });
         
+        renderSites();
+        loadTheme();
+        loadIconSize();
+        renderGlobalScripts();
+        renderBackups();
+        showImportStatus(`Restored backup from ${when}.`, 'success');
     } catch (error) {
         showImportStatus(`Error: ${error.message}`, 'error');
-        console.error('Import error:', error);
+        console.error('Restore error:', error);
     }
-});
+}
+
+function setupBackupsSection() {
+    const saveSettings = async () => {
+        const intervalMinutes = parseInt(document.getElementById('backupInterval').value, 10) || 0;
+        const keepCount = Math.max(1, Math.min(100, parseInt(document.getElementById('backupKeepCount').value, 10) || DEFAULT_BACKUP_SETTINGS.keepCount));
+        const maxAgeDays = Math.max(0, Math.min(365, parseInt(document.getElementById('backupMaxAgeDays').value, 10) || 0));
+        // The service worker rotates the backups; the list is re-rendered when it deletes any (see the storage listener)
+        await chrome.storage.local.set({ backupSettings: { intervalMinutes, keepCount, maxAgeDays } });
+    };
+    
+    ['backupInterval', 'backupKeepCount', 'backupMaxAgeDays'].forEach(id => {
+        document.getElementById(id).addEventListener('change', saveSettings);
+    });
+    
+    document.getElementById('backupNowBtn').addEventListener('click', async () => {
+        await createBackup('manual');
+        renderBackups();
+    });
+}
+
+setupBackupsSection();
 
 function showImportStatus(message, type) {
     importStatus.textContent = message;
@@ -1913,70 +2519,706 @@ function showChromeImportStatus(message, type) {
     }
 }
 
-// Import from Chrome's frequently visited sites
-importChromeBtn.addEventListener('click', async () => {
+// ==================== Frequently Visited Sites ====================
+// Suggest top sites and the origins visited most in chrome.history (see frequentsites.js). The
+// history permission is optional; without it only Chrome's top sites are listed.
+
+let frequentSiteSuggestions = [];
+
+async function loadFrequentSiteSuggestions() {
+    // Only checked here - the permission is requested from the button click (see below)
+    const granted = await chrome.permissions.contains({ permissions: ['history'] });
+    const topSites = await chrome.topSites.get();
+    let historyItems = [];
+    if (granted) {
+        historyItems = await chrome.history.search({
+            text: '',
+            startTime: Date.now() - FREQUENT_SITES_HISTORY_DAYS * 24 * 60 * 60 * 1000,
+            maxResults: 5000
+        });
+    }
+    return { suggestions: buildFrequentSiteSuggestions(topSites || [], historyItems, await getSites()), usedHistory: historyItems.length > 0 };
+}
+
+async function openFrequentSitesPicker() {
     try {
-        showChromeImportStatus('Loading frequently visited sites...', 'success');
+        const { suggestions, usedHistory } = await loadFrequentSiteSuggestions();
+        frequentSiteSuggestions = suggestions;
+        const picker = document.getElementById('frequentSitesPicker');
         
-        // Get top sites from Chrome
-        const topSites = await chrome.topSites.get();
+        if (suggestions.length === 0) {
+            picker.innerHTML = '<p style="color: #666; font-size: 13px;">No frequently visited sites found. Visit some websites first!</p>';
+        } else {
+            picker.innerHTML = suggestions.map((suggestion, index) => `
+                <div class="frequent-site-item${suggestion.existing ? ' is-duplicate' : ''}">
+                    <input type="checkbox" data-suggestion-index="${index}" ${suggestion.existing ? '' : 'checked'}>
+                    <div class="frequent-site-info">
+                        <input type="text" class="frequent-site-name" data-suggestion-index="${index}" value="${escapeHtml(suggestion.name)}" aria-label="Name">
+                        <small title="${escapeHtml(suggestion.url)}">${escapeHtml(suggestion.url)}</small>
+                        ${suggestion.existing ? `<small class="frequent-site-duplicate">Already in your launcher as "${escapeHtml(suggestion.existing.name)}"${suggestion.existing.url !== suggestion.url ? ` (${escapeHtml(suggestion.existing.url)})` : ''}</small>` : ''}
+                    </div>
+                    <span class="frequent-site-visits">${suggestion.visits > 0 ? `${suggestion.visits} visit${suggestion.visits === 1 ? '' : 's'}` : 'Top site'}</span>
+                </div>
+            `).join('');
+        }
         
-        if (!topSites || topSites.length === 0) {
-            showChromeImportStatus('No frequently visited sites found. Visit some websites first!', 'error');
-            return;
+        await populateParentDropdown(document.getElementById('frequentSitesFolder'));
+        picker.style.display = 'block';
+        document.getElementById('frequentSitesOptions').style.display = suggestions.length > 0 ? 'block' : 'none';
+        document.getElementById('importFrequentSitesBtn').style.display = suggestions.length > 0 ? 'block' : 'none';
+        picker.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.addEventListener('change', updateFrequentSitesButton);
+        });
+        updateFrequentSitesButton();
+        
+        if (!usedHistory) {
+            showChromeImportStatus('Showing Chrome\'s top sites only. Allow access to your history to also see visit counts and more sites.', 'success');
+        } else {
+            chromeImportStatus.style.display = 'none';
         }
+    } catch (error) {
+        showChromeImportStatus(`Error: ${error.message}`, 'error');
+        console.error('Chrome import error:', error);
+    }
+}
+
+function updateFrequentSitesButton() {
+    const count = document.querySelectorAll('#frequentSitesPicker input[type="checkbox"]:checked').length;
+    const button = document.getElementById('importFrequentSitesBtn');
+    button.disabled = count === 0;
+    button.textContent = count > 0 ? `Add ${count} Selected Site(s)` : 'Add Selected Sites';
+}
+
+// Add the picked suggestions, with their edited names, to the chosen folder
+async function importFrequentSites() {
+    const picker = document.getElementById('frequentSitesPicker');
+    const parentId = document.getElementById('frequentSitesFolder').value || null;
+    const picked = Array.from(picker.querySelectorAll('input[type="checkbox"]:checked'), input => {
+        const index = input.getAttribute('data-suggestion-index');
+        const suggestion = frequentSiteSuggestions[index];
+        const name = picker.querySelector(`.frequent-site-name[data-suggestion-index="${index}"]`).value.trim();
+        return { ...suggestion, name: name || suggestion.name };
+    });
+    if (picked.length === 0) return;
+    
+    try {
+        let added = 0;
+        await runUndoableAction('Import from Chrome', () => updateSites(existingSites => {
+            // A variant the user ticked anyway is added, but never the exact same URL twice in a folder
+            const newSites = picked
+                .filter(suggestion => !existingSites.some(site => site.url === suggestion.url && (site.parentId || null) === parentId))
+                .map(suggestion => {
+                    const site = { id: generateUniqueId(), name: suggestion.name, url: suggestion.url, createdAt: Date.now() };
+                    if (parentId) site.parentId = parentId;
+                    return site;
+                });
+            added = newSites.length;
+            return [...existingSites, ...newSites];
+        }));
+        
+        // The list is rebuilt so the sites just added show as already in the launcher
+        renderSites();
+        await openFrequentSitesPicker();
+        const skipped = picked.length - added;
+        showChromeImportStatus(`Added ${added} site(s) from Chrome.${skipped > 0 ? ` ${skipped} already in that folder skipped.` : ''}`, added > 0 ? 'success' : 'error');
+    } catch (error) {
+        showChromeImportStatus(`Error: ${error.message}`, 'error');
+        console.error('Chrome import error:', error);
+    }
+}
+
+// A permission request needs the click's user gesture, so it is made before anything else is awaited.
+// Declining it still lists Chrome's top sites.
+importChromeBtn.addEventListener('click', async () => {
+    await chrome.permissions.request({ permissions: ['history'] })
+        .catch(error => console.warn('Could not request history access:', error));
+    await openFrequentSitesPicker();
+});
+document.getElementById('importFrequentSitesBtn').addEventListener('click', importFrequentSites);
+
+// ==================== Chrome Bookmarks ====================
+// Import picked folders and bookmarks from chrome.bookmarks (see bookmarks.js). The bookmarks
+// permission is optional and only requested when the user opens the picker.
+
+const bookmarkImportStatus = document.getElementById('bookmarkImportStatus');
+
+function showBookmarkImportStatus(message, type) {
+    bookmarkImportStatus.textContent = message;
+    bookmarkImportStatus.style.display = 'block';
+    
+    if (type === 'success') {
+        bookmarkImportStatus.style.background = '#e8f5e9';
+        bookmarkImportStatus.style.color = '#2e7d32';
+        bookmarkImportStatus.style.border = '1px solid #4caf50';
+    } else {
+        bookmarkImportStatus.style.background = '#ffebee';
+        bookmarkImportStatus.style.color = '#c62828';
+        bookmarkImportStatus.style.border = '1px solid #f44336';
+    }
+}
+
+async function requestBookmarksPermission() {
+    const granted = await chrome.permissions.request({ permissions: ['bookmarks'] });
+    if (!granted) {
+        throw new Error('Access to your bookmarks is needed to import them');
+    }
+}
+
+function countBookmarks(node) {
+    return node.url ? 1 : (node.children || []).reduce((sum, child) => sum + countBookmarks(child), 0);
+}
+
+function renderBookmarkPickerNodes(nodes) {
+    return nodes.map(node => {
+        if (node.url) {
+            return `
+                <label class="tree-picker-item" title="${escapeHtml(node.url)}">
+                    <input type="checkbox" data-bookmark-id="${escapeHtml(node.id)}">
+                    <span>${escapeHtml(node.title || node.url)}</span>
+                </label>
+            `;
+        }
+        const count = countBookmarks(node);
+        if (count === 0) return '';
+        return `
+            <details class="tree-picker-folder" ${node.parentId === '0' ? 'open' : ''}>
+                <summary>
+                    <input type="checkbox" class="tree-picker-folder-checkbox">
+                    <span>${escapeHtml(node.title || 'Untitled folder')}</span>
+                    <small>${count}</small>
+                </summary>
+                <div class="tree-picker-children">${renderBookmarkPickerNodes(node.children || [])}</div>
+            </details>
+        `;
+    }).join('');
+}
+
+// Folder checkboxes show whether all, some or none of their bookmarks are picked
+function updateBookmarkPickerFolders(picker) {
+    const folderCheckboxes = Array.from(picker.querySelectorAll('.tree-picker-folder-checkbox')).reverse();
+    folderCheckboxes.forEach(checkbox => {
+        const bookmarks = checkbox.closest('details').querySelectorAll('input[data-bookmark-id]');
+        const picked = Array.from(bookmarks).filter(input => input.checked).length;
+        checkbox.checked = picked > 0 && picked === bookmarks.length;
+        checkbox.indeterminate = picked > 0 && picked < bookmarks.length;
+    });
+    
+    const total = picker.querySelectorAll('input[data-bookmark-id]:checked').length;
+    const importBtn = document.getElementById('importBookmarksBtn');
+    importBtn.disabled = total === 0;
+    importBtn.textContent = total > 0 ? `Import ${total} Selected Bookmark(s)` : 'Import Selected Bookmarks';
+}
+
+async function openBookmarkPicker() {
+    try {
+        await requestBookmarksPermission();
+        const [root] = await chrome.bookmarks.getTree();
+        const picker = document.getElementById('bookmarkPicker');
         
-        // Get existing sites to check for duplicates
-        const existingSites = await getSites();
-        const existingUrls = new Set(existingSites.map(s => s.url));
+        picker.innerHTML = renderBookmarkPickerNodes(root.children || []) || '<p style="color: #666; font-size: 13px;">You have no bookmarks.</p>';
+        picker.style.display = 'block';
+        document.getElementById('importBookmarksBtn').style.display = 'block';
+        updateBookmarkPickerFolders(picker);
         
-        // Convert top sites to our format
-        const newSites = topSites
-            .filter(site => !existingUrls.has(site.url))
-            .map((site, index) => {
-                // Extract domain name for site name if title is not available
-                let siteName = site.title || new URL(site.url).hostname;
-                // Clean up the name
-                siteName = siteName.replace(/^https?:\/\//, '').replace(/^www\./, '');
-                
-                return {
-                    id: `chrome-import-${Date.now()}-${index}`,
-                    name: siteName,
-                    url: site.url,
-                    createdAt: Date.now()
-                };
+        picker.querySelectorAll('.tree-picker-folder-checkbox').forEach(checkbox => {
+            // Don't open or close the folder when its checkbox is clicked
+            checkbox.addEventListener('click', (e) => e.stopPropagation());
+            checkbox.addEventListener('change', () => {
+                checkbox.closest('details').querySelectorAll('input[data-bookmark-id]').forEach(input => {
+                    input.checked = checkbox.checked;
+                });
+                updateBookmarkPickerFolders(picker);
             });
+        });
+        picker.querySelectorAll('input[data-bookmark-id]').forEach(input => {
+            input.addEventListener('change', () => updateBookmarkPickerFolders(picker));
+        });
+    } catch (error) {
+        showBookmarkImportStatus(`Error: ${error.message}`, 'error');
+        console.error('Bookmark picker error:', error);
+    }
+}
+
+// Merge bookmark sites into the launcher as one undoable step and describe the result
+async function addBookmarkSites(label, importedSites) {
+    let result = null;
+    await runUndoableAction(label, () => updateSites(existingSites => {
+        result = mergeBookmarkSites(existingSites, importedSites);
+        return result.sites;
+    }));
+    
+    const message = [`${result.added} site(s) added`];
+    if (result.updated > 0) message.push(`${result.updated} updated`);
+    if (result.duplicates > 0) message.push(`${result.duplicates} already in your launcher`);
+    return message;
+}
+
+async function importSelectedBookmarks() {
+    const picker = document.getElementById('bookmarkPicker');
+    const selectedIds = new Set(Array.from(picker.querySelectorAll('input[data-bookmark-id]:checked'), input => input.getAttribute('data-bookmark-id')));
+    if (selectedIds.size === 0) return;
+    
+    try {
+        const [root] = await chrome.bookmarks.getTree();
+        const entries = filterBookmarkEntries(readChromeBookmarkNodes(root.children || []), selectedIds);
+        const { sites, skipped, flattened } = bookmarkEntriesToSites(entries);
         
-        if (newSites.length === 0) {
-            showChromeImportStatus('All frequently visited sites are already in your launcher.', 'error');
-            return;
-        }
+        const message = await addBookmarkSites('Import bookmarks', sites);
+        if (skipped > 0) message.push(`${skipped} with unsupported URLs skipped`);
+        if (flattened > 0) message.push(`${flattened} nested folder(s) merged into their top-level folder`);
+        showBookmarkImportStatus(`Imported bookmarks: ${message.join(', ')}.`, 'success');
         
-        // Add new sites to existing ones
-        const finalSites = [...existingSites, ...newSites];
-        await saveSites(finalSites);
+        picker.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.checked = false;
+        });
+        updateBookmarkPickerFolders(picker);
+        renderSites();
+        renderBookmarkResync();
+    } catch (error) {
+        showBookmarkImportStatus(`Error: ${error.message}`, 'error');
+        console.error('Bookmark import error:', error);
+    }
+}
+
+// Pull new, renamed and changed bookmarks into every folder imported whole from Chrome
+// Bookmarks deleted in Chrome are left in the launcher
+async function resyncBookmarkFolders() {
+    try {
+        await requestBookmarksPermission();
+        const linkedFolders = (await getSites()).filter(site => site.bookmarkFolderId);
         
-        const skippedCount = topSites.length - newSites.length;
-        let message = `Successfully imported ${newSites.length} site(s) from Chrome.`;
-        if (skippedCount > 0) {
-            message += ` ${skippedCount} duplicate(s) skipped.`;
+        const importedSites = [];
+        let missing = 0;
+        for (const folder of linkedFolders) {
+            try {
+                const nodes = await chrome.bookmarks.getSubTree(folder.bookmarkFolderId);
+                importedSites.push(...bookmarkEntriesToSites(readChromeBookmarkNodes(nodes)).sites);
+            } catch (e) {
+                // The folder was deleted, or the site came from another device where ids differ
+                missing++;
+            }
         }
         
-        showChromeImportStatus(message, 'success');
-        
-        // Reload sites
+        const message = await addBookmarkSites('Re-sync bookmarks', importedSites);
+        if (missing > 0) message.push(`${missing} folder(s) no longer found in your bookmarks`);
+        showBookmarkImportStatus(`Re-synced ${linkedFolders.length - missing} folder(s): ${message.join(', ')}.`, missing > 0 && missing === linkedFolders.length ? 'error' : 'success');
         renderSites();
+    } catch (error) {
+        showBookmarkImportStatus(`Error: ${error.message}`, 'error');
+        console.error('Bookmark re-sync error:', error);
+    }
+}
+
+// The re-sync button is only shown once a folder has been imported from Chrome
+async function renderBookmarkResync() {
+    const linkedCount = (await getSites()).filter(site => site.bookmarkFolderId).length;
+    const resyncBtn = document.getElementById('resyncBookmarksBtn');
+    resyncBtn.style.display = linkedCount > 0 ? 'block' : 'none';
+    resyncBtn.textContent = `Re-sync ${linkedCount} Imported Bookmark Folder(s)`;
+}
+
+document.getElementById('browseBookmarksBtn').addEventListener('click', openBookmarkPicker);
+document.getElementById('importBookmarksBtn').addEventListener('click', importSelectedBookmarks);
+document.getElementById('resyncBookmarksBtn').addEventListener('click', resyncBookmarkFolders);
+
+// ==================== CSV Import ====================
+// Import sites from a spreadsheet (see csv.js). The file is read once, the user maps its columns,
+// and rows that don't validate are listed and left out of the import preview.
+
+const csvImportStatus = document.getElementById('csvImportStatus');
+let csvImportRows = null;
+let csvImportFileName = '';
+
+function showCsvImportStatus(message, type) {
+    csvImportStatus.textContent = message;
+    csvImportStatus.style.display = 'block';
+    
+    if (type === 'success') {
+        csvImportStatus.style.background = '#e8f5e9';
+        csvImportStatus.style.color = '#2e7d32';
+        csvImportStatus.style.border = '1px solid #4caf50';
+    } else {
+        csvImportStatus.style.background = '#ffebee';
+        csvImportStatus.style.color = '#c62828';
+        csvImportStatus.style.border = '1px solid #f44336';
+    }
+}
+
+// One select per field, listing the file's columns by header (or position without one)
+function renderCsvColumnMapping(mapping) {
+    const hasHeader = document.getElementById('csvHasHeader').checked;
+    const columnCount = Math.max(...csvImportRows.map(row => row.length));
+    const columns = Array.from({ length: columnCount }, (_, i) => {
+        const header = hasHeader ? (csvImportRows[0][i] || '').trim() : '';
+        return header ? `${header} (column ${i + 1})` : `Column ${i + 1}`;
+    });
+    
+    document.getElementById('csvColumnMapping').innerHTML = Object.entries(CSV_FIELDS).map(([field, label]) => `
+        <div class="form-group">
+            <label for="csvColumn-${field}">${label}${field === 'url' ? ' (required)' : ''}</label>
+            <select id="csvColumn-${field}" data-csv-field="${field}">
+                <option value="-1">Not in this file</option>
+                ${columns.map((column, i) => `<option value="${i}" ${mapping[field] === i ? 'selected' : ''}>${escapeHtml(column)}</option>`).join('')}
+            </select>
+        </div>
+    `).join('');
+}
+
+function getCsvColumnMapping() {
+    const mapping = {};
+    document.querySelectorAll('#csvColumnMapping select').forEach(select => {
+        mapping[select.dataset.csvField] = parseInt(select.value, 10);
+    });
+    return mapping;
+}
+
+function guessCsvImportMapping() {
+    if (document.getElementById('csvHasHeader').checked) {
+        return guessCsvColumnMapping(csvImportRows[0]);
+    }
+    // Without names, assume the order the CSV export uses
+    return { name: 0, url: 1, iconUrl: 2, folder: 3 };
+}
+
+async function loadCsvImportFile(file) {
+    document.getElementById('csvMappingGroup').style.display = 'none';
+    document.getElementById('csvRowErrors').style.display = 'none';
+    csvImportStatus.style.display = 'none';
+    csvImportRows = null;
+    if (!file) return;
+    
+    try {
+        const text = await file.text();
+        const delimiter = /\.tsv$/i.test(file.name) ? '\t' : detectCsvDelimiter(text);
+        const rows = parseDelimitedText(text, delimiter);
+        if (rows.length === 0) {
+            throw new Error('The file has no rows');
+        }
         
-        // Close modal after a delay
-        setTimeout(() => {
-            themeModal.classList.remove('active');
-            chromeImportStatus.style.display = 'none';
-        }, 2000);
+        csvImportRows = rows;
+        csvImportFileName = file.name;
+        // A first row with a URL in it is data, not column names
+        document.getElementById('csvHasHeader').checked = !rows[0].some(cell => isSupportedSiteUrl(cell.trim()));
+        renderCsvColumnMapping(guessCsvImportMapping());
+        document.getElementById('csvMappingGroup').style.display = 'block';
+    } catch (error) {
+        showCsvImportStatus(`Error: ${error.message}`, 'error');
+        console.error('CSV read error:', error);
+    }
+}
+
+function renderCsvRowErrors(errors) {
+    const container = document.getElementById('csvRowErrors');
+    if (errors.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+    
+    container.innerHTML = `
+        <strong>${errors.length} row(s) can't be imported and will be skipped:</strong>
+        <ul>${errors.map(error => `<li>Row ${error.row}: ${escapeHtml(error.message)}</li>`).join('')}</ul>
+    `;
+    container.style.display = 'block';
+}
+
+async function importCsvRows() {
+    const mapping = getCsvColumnMapping();
+    if (mapping.url < 0) {
+        showCsvImportStatus('Please pick the column that holds the URL', 'error');
+        return;
+    }
+    
+    try {
+        const { sites, errors } = csvRowsToSites(csvImportRows, mapping, {
+            hasHeader: document.getElementById('csvHasHeader').checked,
+            existingSites: await getSites()
+        });
+        renderCsvRowErrors(errors);
+        if (sites.length === 0) {
+            showCsvImportStatus('No row has a valid site to import', 'error');
+            return;
+        }
         
+        csvImportStatus.style.display = 'none';
+        const mode = document.querySelector('input[name="csvImportMode"]:checked').value;
+        const notes = errors.length > 0 ? [`${errors.length} row(s) with errors skipped`] : [];
+        await openImportPreview({ sites }, mode, {
+            source: csvImportFileName,
+            notes,
+            showStatus: showCsvImportStatus,
+            onApplied: () => {
+                document.getElementById('csvImportFile').value = '';
+                document.getElementById('csvMappingGroup').style.display = 'none';
+                csvImportRows = null;
+            }
+        });
     } catch (error) {
-        showChromeImportStatus(`Error: ${error.message}`, 'error');
-        console.error('Chrome import error:', error);
+        showCsvImportStatus(`Error: ${error.message}`, 'error');
+        console.error('CSV import error:', error);
     }
+}
+
+document.getElementById('csvImportFile').addEventListener('change', (e) => loadCsvImportFile(e.target.files[0]));
+document.getElementById('csvHasHeader').addEventListener('change', () => {
+    renderCsvColumnMapping(guessCsvImportMapping());
+    document.getElementById('csvRowErrors').style.display = 'none';
+});
+document.getElementById('csvImportBtn').addEventListener('click', importCsvRows);
+
+// ==================== Starter Packs ====================
+// A new launcher starts with a starter pack picked on first run (see starterpacks.js). A pack can be
+// added again later from Import / Export, merged like any other import.
+
+const starterPackModal = document.getElementById('starterPackModal');
+const starterPackStatus = document.getElementById('starterPackStatus');
+
+function showStarterPackStatus(message, type) {
+    starterPackStatus.textContent = message;
+    starterPackStatus.style.display = 'block';
+    
+    if (type === 'success') {
+        starterPackStatus.style.background = '#e8f5e9';
+        starterPackStatus.style.color = '#2e7d32';
+        starterPackStatus.style.border = '1px solid #4caf50';
+    } else {
+        starterPackStatus.style.background = '#ffebee';
+        starterPackStatus.style.color = '#c62828';
+        starterPackStatus.style.border = '1px solid #f44336';
+    }
+}
+
+// Offer the starter packs to a launcher that has never had any sites
+async function openStarterPackChooserIfFirstRun() {
+    const { initialized, sites } = await chrome.storage.local.get(['initialized', 'sites']);
+    if (initialized) return;
+    
+    // Sites imported or synced before a pack was picked mean the launcher is already set up
+    if (Array.isArray(sites) && sites.length > 0) {
+        await chrome.storage.local.set({ initialized: true });
+        return;
+    }
+    
+    const packs = await getStarterPacks();
+    const list = document.getElementById('starterPackList');
+    list.innerHTML = packs.map(pack => `
+        <button type="button" class="starter-pack-option" data-pack-id="${escapeHtml(pack.id)}">
+            <strong>${escapeHtml(pack.name)}</strong>
+            <span>${escapeHtml(pack.description)}</span>
+        </button>
+    `).join('');
+    list.querySelectorAll('.starter-pack-option').forEach(button => {
+        button.addEventListener('click', () => {
+            const pack = packs.find(p => p.id === button.getAttribute('data-pack-id'));
+            applyFirstRunStarterPack(pack, button);
+        });
+    });
+    starterPackModal.classList.add('active');
+}
+
+async function applyFirstRunStarterPack(pack, button) {
+    const buttons = document.querySelectorAll('#starterPackList .starter-pack-option');
+    buttons.forEach(b => { b.disabled = true; });
+    
+    try {
+        const { sites, errors } = await loadStarterPack(pack);
+        errors.forEach(error => console.error(`Invalid ${pack.file} entry: ${formatValidationError(error)}`));
+        // Another tab may have set up the launcher while this chooser was open - then its pick stands
+        await seedInitialSites(sites);
+        starterPackModal.classList.remove('active');
+        renderSites();
+    } catch (error) {
+        console.error('Error loading starter pack:', error);
+        buttons.forEach(b => { b.disabled = false; });
+        button.querySelector('span').textContent = `Could not load this pack: ${error.message}`;
+    }
+}
+
+// Closing the chooser starts with an empty launcher
+async function dismissStarterPackChooser() {
+    starterPackModal.classList.remove('active');
+    await seedInitialSites([]);
+}
+
+async function renderStarterPackSelect() {
+    const select = document.getElementById('starterPackSelect');
+    const packs = (await getStarterPacks()).filter(pack => pack.file);
+    select.innerHTML = packs.map(pack => `<option value="${escapeHtml(pack.id)}">${escapeHtml(pack.name)}</option>`).join('');
+}
+
+document.getElementById('applyStarterPackBtn').addEventListener('click', async () => {
+    starterPackStatus.style.display = 'none';
+    try {
+        const packId = document.getElementById('starterPackSelect').value;
+        const pack = (await getStarterPacks()).find(p => p.id === packId);
+        if (!pack) {
+            throw new Error('Pick a starter pack first');
+        }
+        const { sites, errors } = await loadStarterPack(pack);
+        const notes = errors.length > 0 ? [`${errors.length} invalid entr${errors.length === 1 ? 'y' : 'ies'} left out`] : [];
+        await openImportPreview({ sites }, 'merge', { source: `${pack.name} starter pack`, notes, errors, showStatus: showStarterPackStatus });
+    } catch (error) {
+        showStarterPackStatus(`Error: ${error.message}`, 'error');
+        console.error('Starter pack error:', error);
+    }
+});
+
+// ==================== Share ====================
+// Share a folder or site as a link and QR code (see share.js and qrcode.js). Opening a shared link,
+// by clicking it or pasting it here, shows the import preview.
+
+const shareModal = document.getElementById('shareModal');
+const sharedLinkStatus = document.getElementById('sharedLinkStatus');
+let sharingSiteId = null;
+
+function showSharedLinkStatus(message, type) {
+    sharedLinkStatus.textContent = message;
+    sharedLinkStatus.style.display = 'block';
+    
+    if (type === 'success') {
+        sharedLinkStatus.style.background = '#e8f5e9';
+        sharedLinkStatus.style.color = '#2e7d32';
+        sharedLinkStatus.style.border = '1px solid #4caf50';
+    } else {
+        sharedLinkStatus.style.background = '#ffebee';
+        sharedLinkStatus.style.color = '#c62828';
+        sharedLinkStatus.style.border = '1px solid #f44336';
+    }
+}
+
+async function openShareModal(siteId) {
+    const sites = await getSites();
+    const site = sites.find(s => s.id === siteId);
+    if (!site) return;
+    
+    const shared = [site, ...sites.filter(s => s.parentId === siteId)];
+    const hasScripts = shared.some(s => Array.isArray(s.scripts) && s.scripts.length > 0);
+    sharingSiteId = siteId;
+    document.getElementById('shareModalTitle').textContent = `Share "${site.name}"`;
+    document.getElementById('shareModalDescription').textContent = shared.length > 1
+        ? `The link holds this folder and its ${shared.length - 1} site(s).`
+        : 'The link holds this site.';
+    const includeScripts = document.getElementById('shareIncludeScripts');
+    includeScripts.checked = false;
+    includeScripts.disabled = !hasScripts;
+    
+    await updateShareLink();
+    shareModal.classList.add('active');
+}
+
+async function updateShareLink() {
+    const linkInput = document.getElementById('shareLink');
+    const qrContainer = document.getElementById('shareQrCode');
+    try {
+        const payload = buildSharePayload(await getSites(), sharingSiteId, document.getElementById('shareIncludeScripts').checked);
+        const link = await encodeShareLink(payload);
+        linkInput.value = link;
+        
+        const qrCode = createQrCode(link);
+        qrContainer.innerHTML = qrCode
+            ? renderQrCodeSvg(qrCode)
+            : '<p>This is too much for a QR code. Share the link instead.</p>';
+    } catch (error) {
+        linkInput.value = '';
+        qrContainer.innerHTML = `<p>${escapeHtml(error.message)}</p>`;
+        console.error('Share link error:', error);
+    }
+}
+
+// Open a shared link as an import preview - shared sites are always merged
+async function openSharedLink(link, showStatus) {
+    try {
+        const { data: validData, errors } = validateImportData(await decodeShareLink(link));
+        const data = normalizeData(validData);
+        if (!hasImportableData(data)) {
+            throw new Error(`Nothing in this link can be imported. ${errors.slice(0, 5).map(formatValidationError).join('; ')}`);
+        }
+        const notes = errors.length > 0 ? [`${errors.length} invalid entr${errors.length === 1 ? 'y' : 'ies'} left out`] : [];
+        await openImportPreview(data, 'merge', { source: 'Shared link', notes, errors, showStatus });
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+        console.error('Shared link error:', error);
+    }
+}
+
+// A shared link opened in the browser lands here with the payload in the fragment
+async function openSharedLinkFromLocation() {
+    if (!getSharedPayloadParam(location.hash)) return;
+    
+    const link = location.href;
+    // Drop the fragment, so reloading the tab doesn't show the preview again
+    history.replaceState(null, '', location.pathname + location.search);
+    // The undo toast already confirms a successful import
+    await openSharedLink(link, (message, type) => {
+        if (type === 'error') {
+            alert(message);
+        }
+    });
+}
+
+document.getElementById('shareSiteBtn').addEventListener('click', () => {
+    openShareModal(document.getElementById('editSiteId').value);
+});
+document.getElementById('shareFolderBtn').addEventListener('click', () => {
+    if (currentOpenSubLauncherParentId) {
+        openShareModal(currentOpenSubLauncherParentId);
+    }
+});
+document.getElementById('shareIncludeScripts').addEventListener('change', updateShareLink);
+document.getElementById('copyShareLinkBtn').addEventListener('click', async () => {
+    const button = document.getElementById('copyShareLinkBtn');
+    await navigator.clipboard.writeText(document.getElementById('shareLink').value);
+    button.textContent = 'Copied';
+    setTimeout(() => {
+        button.textContent = 'Copy';
+    }, 1500);
+});
+document.getElementById('shareLink').addEventListener('focus', (e) => e.target.select());
+
+document.getElementById('sharedLinkInput').addEventListener('input', (e) => {
+    document.getElementById('openSharedLinkBtn').disabled = !e.target.value.trim();
+    sharedLinkStatus.style.display = 'none';
+});
+document.getElementById('openSharedLinkBtn').addEventListener('click', async () => {
+    await openSharedLink(document.getElementById('sharedLinkInput').value, showSharedLinkStatus);
+});
+window.addEventListener('hashchange', openSharedLinkFromLocation);
+
+// ==================== Tab Groups ====================
+// Open the folder shown in the sub-launcher as a tab group (see openFolderAsTabGroup() in openmodes.js),
+// from its header or with Cmd+Enter on macOS, Ctrl+Enter elsewhere.
+
+async function openCurrentFolderAsTabGroup() {
+    if (!currentOpenSubLauncherParentId) return;
+    
+    const sites = await getSites();
+    const folder = sites.find(s => s.id === currentOpenSubLauncherParentId);
+    if (!folder) return;
+    
+    try {
+        await openFolderAsTabGroup(folder, sites.filter(s => s.parentId === folder.id));
+        closeSubLauncherModal();
+    } catch (error) {
+        console.error('Failed to open tab group:', error);
+        alert(error.message);
+    }
+}
+
+document.getElementById('openFolderTabGroupBtn').addEventListener('click', openCurrentFolderAsTabGroup);
+
+document.addEventListener('keydown', (e) => {
+    const modifierPressed = isMacOS ? (e.metaKey && !e.ctrlKey) : (e.ctrlKey && !e.metaKey);
+    if (e.key !== 'Enter' || !modifierPressed || e.altKey || e.shiftKey) {
+        return;
+    }
+    
+    // Only while the sub-launcher is the topmost dialog
+    const subLauncherModal = document.getElementById('subLauncherModal');
+    if (!subLauncherModal.classList.contains('active') || document.querySelectorAll('.modal.active').length > 1) {
+        return;
+    }
+    
+    e.preventDefault();
+    openCurrentFolderAsTabGroup();
 });
 
 // Privacy policy link
@@ -2006,12 +3248,38 @@ if (showEditOnHoverCheckbox) {
     });
 }
 
+// Switching to open tabs (see openmodes.js) - a setting of this device, like the backup schedule
+const tabSwitchEnabledCheckbox = document.getElementById('tabSwitchEnabled');
+const tabSwitchMatchSelect = document.getElementById('tabSwitchMatch');
+
+tabSwitchMatchSelect.innerHTML = Object.entries(TAB_SWITCH_MATCH_RULES)
+    .map(([rule, label]) => `<option value="${rule}">${label}</option>`)
+    .join('');
+
+async function loadTabSwitchSettings() {
+    const settings = await getTabSwitchSettings();
+    tabSwitchEnabledCheckbox.checked = settings.enabled;
+    tabSwitchMatchSelect.value = settings.match;
+    tabSwitchMatchSelect.disabled = !settings.enabled;
+}
+
+async function saveTabSwitchSettings() {
+    tabSwitchMatchSelect.disabled = !tabSwitchEnabledCheckbox.checked;
+    await chrome.storage.local.set({
+        tabSwitchSettings: { enabled: tabSwitchEnabledCheckbox.checked, match: tabSwitchMatchSelect.value }
+    });
+}
+
+tabSwitchEnabledCheckbox.addEventListener('change', saveTabSwitchSettings);
+tabSwitchMatchSelect.addEventListener('change', saveTabSwitchSettings);
+
 // Load preference when edit page is shown
 const editPage = document.getElementById('editPage');
 if (editPage) {
     const observer = new MutationObserver((mutations) => {
         if (editPage.classList.contains('active')) {
             loadShowEditOnHoverPreference();
+            loadTabSwitchSettings();
         }
     });
     observer.observe(editPage, {
@@ -2054,7 +3322,10 @@ function createScriptItem(script = null) {
     scriptItem.innerHTML = `
         <div class="script-item-header">
             <h4 style="margin: 0; font-size: 13px; font-weight: 600; color: #333;">Script ${scriptId + 1}</h4>
-            <button type="button" class="remove-script-btn" data-script-id="${scriptId}">Remove</button>
+            <div style="display: flex; gap: 6px;">
+                <button type="button" class="export-script-btn" data-script-id="${scriptId}" title="Download as a userscript for Tampermonkey or Violentmonkey">Export .user.js</button>
+                <button type="button" class="remove-script-btn" data-script-id="${scriptId}">Remove</button>
+            </div>
         </div>
         <div class="form-group" style="margin-bottom: 10px;">
             <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
@@ -2090,6 +3361,30 @@ function createScriptItem(script = null) {
         scriptItem.remove();
     });
     
+    // Export what is in the form, saved or not
+    scriptItem.querySelector('.export-script-btn').addEventListener('click', async () => {
+        const sites = await getSites();
+        const site = sites.find(s => s.id === document.getElementById('advancedSiteId').value);
+        if (!site) return;
+        
+        let hostname = '*';
+        try {
+            hostname = new URL(site.url).hostname || '*';
+        } catch (e) {
+            // Keep the catch-all pattern
+        }
+        const name = `${site.name} - Script ${scriptId + 1}`;
+        const userscript = buildUserscript([{
+            timing: scriptItem.querySelector('.script-timing-select').value,
+            code: scriptItem.querySelector('.script-code-textarea').value
+        }], {
+            name,
+            description: `Exported from Site Launcher, where it runs on ${site.url}`,
+            domainPattern: hostname
+        });
+        downloadFile(userscript, 'text/javascript', getUserscriptFilename(name));
+    });
+    
     return scriptItem;
 }
 
@@ -2190,19 +3485,19 @@ function setupAdvancedModalListeners() {
                     confirmPopup: confirmPopup || false
                 });
             }
-        });
-        
-        const sites = await getSites();
-        const siteIndex = sites.findIndex(s => s.id === siteId);
+        });
         
-        if (siteIndex !== -1) {
-            if (scripts.length > 0) {
-                sites[siteIndex].scripts = scripts;
-            } else {
-                delete sites[siteIndex].scripts;
+        await runUndoableAction('Edit site scripts', () => updateSites(sites => {
+            const site = sites.find(s => s.id === siteId);
+            if (site) {
+                if (scripts.length > 0) {
+                    site.scripts = scripts;
+                } else {
+                    delete site.scripts;
+                }
             }
-            await saveSites(sites);
-        }
+            return sites;
+        }));
         
         advancedScriptsModal.classList.remove('active');
         advancedScriptsModal.style.display = '';
@@ -2219,13 +3514,6 @@ setupAdvancedModalListeners();
 let globalScriptCodeCounter = 0;
 let globalScriptsSaveQueue = Promise.resolve();
 
-function generateUniqueId() {
-    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
-        return crypto.randomUUID();
-    }
-    return `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
-}
-
 function dedupeGlobalScriptsById(scripts) {
     const seen = new Set();
     return scripts.filter(script => {
@@ -2247,10 +3535,11 @@ async function getGlobalScripts() {
 }
 
 // Serialized read-modify-write to prevent concurrent saves from dropping scripts
-async function updateGlobalScripts(mutator) {
+// options.raw hands the mutator the stored list as is, duplicates included (used by the integrity repairs)
+async function updateGlobalScripts(mutator, options = {}) {
     const run = async () => {
         const result = await chrome.storage.local.get(['globalScripts']);
-        const scripts = dedupeGlobalScriptsById(result.globalScripts || []);
+        const scripts = options.raw ? (result.globalScripts || []) : dedupeGlobalScriptsById(result.globalScripts || []);
         const updated = mutator(scripts);
         await chrome.storage.local.set({ globalScripts: updated });
         return updated;
@@ -2340,6 +3629,7 @@ async function renderGlobalScripts() {
                         </p>
                     </div>
                     <div style="display: flex; gap: 8px;">
+                        <button type="button" class="export-global-script-btn" data-script-id="${script.id}" title="Download as a userscript for Tampermonkey or Violentmonkey" style="padding: 8px 16px; background: #e0e0e0; color: #333; border: none; border-radius: 6px; cursor: pointer; font-size: 13px;">Export</button>
                         <button type="button" class="edit-global-script-btn" data-script-id="${script.id}" style="padding: 8px 16px; background: #667eea; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 13px;">Edit</button>
                         <button type="button" class="delete-global-script-btn" data-script-id="${script.id}" style="padding: 8px 16px; background: #ff4444; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 13px;">Delete</button>
                     </div>
@@ -2349,6 +3639,16 @@ async function renderGlobalScripts() {
     }).join('');
     
     // Add event listeners
+    container.querySelectorAll('.export-global-script-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const script = scripts.find(s => s.id === btn.getAttribute('data-script-id'));
+            if (script) {
+                const userscript = buildUserscript(script.scripts || [], { name: script.name, domainPattern: script.domainPattern });
+                downloadFile(userscript, 'text/javascript', getUserscriptFilename(script.name));
+            }
+        });
+    });
+    
     container.querySelectorAll('.edit-global-script-btn').forEach(btn => {
         btn.addEventListener('click', async (e) => {
             const scriptId = btn.getAttribute('data-script-id');
@@ -2359,8 +3659,10 @@ async function renderGlobalScripts() {
     container.querySelectorAll('.delete-global-script-btn').forEach(btn => {
         btn.addEventListener('click', async (e) => {
             const scriptId = btn.getAttribute('data-script-id');
-            if (confirm('Are you sure you want to delete this global script?')) {
-                await updateGlobalScripts(scripts => scripts.filter(s => s.id !== scriptId));
+            if (confirm('Move this global script to the Trash?')) {
+                await runUndoableAction('Delete global script', () => moveGlobalScriptToTrash(scriptId), {
+                    toastMessage: 'Global script moved to Trash'
+                });
                 renderGlobalScripts();
             }
         });
@@ -2460,6 +3762,56 @@ async function openGlobalScriptModal(scriptId = null) {
 }
 
 
+function showUserscriptStatus(message, type) {
+    const userscriptStatus = document.getElementById('userscriptStatus');
+    userscriptStatus.textContent = message;
+    userscriptStatus.style.display = 'block';
+    
+    if (type === 'success') {
+        userscriptStatus.style.background = '#e8f5e9';
+        userscriptStatus.style.color = '#2e7d32';
+        userscriptStatus.style.border = '1px solid #4caf50';
+    } else {
+        userscriptStatus.style.background = '#ffebee';
+        userscriptStatus.style.color = '#c62828';
+        userscriptStatus.style.border = '1px solid #f44336';
+    }
+}
+
+// Turn a .user.js file into a global script
+// A script with the same name can be updated in place, so a newer version of a userscript can be re-imported
+async function importUserscriptFile(file) {
+    try {
+        const { script, warnings } = parseUserscript(await file.text());
+        const existing = (await getGlobalScripts()).find(s => s.name === script.name);
+        const replace = !!existing && confirm(`A global script named "${script.name}" already exists. Replace its pattern and code with the userscript?\n\nCancel adds the userscript as a new global script.`);
+        
+        await runUndoableAction('Import userscript', () => updateGlobalScripts(scripts => {
+            if (replace) {
+                return scripts.map(s => (s.id === existing.id ? { ...s, domainPattern: script.domainPattern, scripts: script.scripts } : s));
+            }
+            return [...scripts, existing ? { ...script, name: `${script.name} (imported)` } : script];
+        }));
+        
+        renderGlobalScripts();
+        const message = `${replace ? 'Updated' : 'Imported'} "${script.name}" for ${script.domainPattern}.`;
+        showUserscriptStatus(warnings.length > 0 ? `${message} Note: ${warnings.join('; ')}.` : message, 'success');
+    } catch (error) {
+        showUserscriptStatus(`Error: ${error.message}`, 'error');
+        console.error('Userscript import error:', error);
+    }
+}
+
+const importUserscriptFileInput = document.getElementById('importUserscriptFile');
+document.getElementById('importUserscriptBtn').addEventListener('click', () => importUserscriptFileInput.click());
+importUserscriptFileInput.addEventListener('change', async () => {
+    const file = importUserscriptFileInput.files[0];
+    if (file) {
+        await importUserscriptFile(file);
+    }
+    importUserscriptFileInput.value = '';
+});
+
 // Setup global scripts page
 function setupGlobalScriptsPage() {
     const createBtn = document.getElementById('createScriptBtn');
@@ -2542,8 +3894,10 @@ function setupGlobalScriptsPage() {
             const scriptId = document.getElementById('globalScriptId')?.value;
             if (!scriptId) return;
             
-            if (confirm('Are you sure you want to delete this global script?')) {
-                await updateGlobalScripts(scripts => scripts.filter(s => s.id !== scriptId));
+            if (confirm('Move this global script to the Trash?')) {
+                await runUndoableAction('Delete global script', () => moveGlobalScriptToTrash(scriptId), {
+                    toastMessage: 'Global script moved to Trash'
+                });
                 closeModal();
                 renderGlobalScripts();
             }
@@ -2616,7 +3970,7 @@ function setupGlobalScriptsPage() {
         if (submitBtn) submitBtn.disabled = true;
 
         try {
-            await updateGlobalScripts(globalScripts => {
+            await runUndoableAction(scriptId ? 'Edit global script' : 'Create global script', () => updateGlobalScripts(globalScripts => {
                 if (scriptId) {
                     const index = globalScripts.findIndex(s => s.id === scriptId);
                     if (index !== -1) {
@@ -2645,7 +3999,7 @@ function setupGlobalScriptsPage() {
                     });
                 }
                 return globalScripts;
-            });
+            }));
 
             closeModal();
             renderGlobalScripts();
@@ -2656,58 +4010,659 @@ function setupGlobalScriptsPage() {
             if (submitBtn) submitBtn.disabled = false;
         }
         });
-        form.dataset.submitListenerAttached = 'true';
+        form.dataset.submitListenerAttached = 'true';
+    }
+    
+    // Render scripts when scripts page is shown
+    const scriptsPage = document.getElementById('scriptsPage');
+    if (scriptsPage) {
+        const observer = new MutationObserver((mutations) => {
+            if (scriptsPage.classList.contains('active')) {
+                renderGlobalScripts();
+            }
+        });
+        observer.observe(scriptsPage, {
+            attributes: true,
+            attributeFilter: ['class']
+        });
+    }
+}
+
+// Initialize global scripts page
+// Try to initialize immediately, and also when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        setupGlobalScriptsPage();
+    });
+} else {
+    // DOM is already ready
+    setupGlobalScriptsPage();
+}
+
+// Also re-initialize when scripts page becomes visible (in case elements weren't ready)
+const scriptsPage = document.getElementById('scriptsPage');
+if (scriptsPage) {
+    const observer = new MutationObserver((mutations) => {
+        if (scriptsPage.classList.contains('active')) {
+            // Re-check if button exists and has listener
+            const createBtn = document.getElementById('createScriptBtn');
+            if (createBtn && !createBtn.dataset.listenerAttached) {
+                createBtn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    openGlobalScriptModal();
+                });
+                createBtn.dataset.listenerAttached = 'true';
+            }
+        }
+    });
+    observer.observe(scriptsPage, {
+        attributes: true,
+        attributeFilter: ['class']
+    });
+}
+
+// ==================== Workspaces ====================
+// Switching is done by switchWorkspace() in storage.js; the storage change listener below
+// re-renders this page (and every other open launcher page) for the new workspace.
+
+const workspaceSwitcher = document.getElementById('workspaceSwitcher');
+const workspaceStatus = document.getElementById('workspaceStatus');
+
+// Fill the quick switcher - only shown once there is more than one workspace
+async function renderWorkspaceSwitcher() {
+    const { workspaces, activeWorkspaceId } = await getWorkspaces();
+    const container = document.getElementById('workspaceSwitcherContainer');
+    
+    workspaceSwitcher.innerHTML = '';
+    workspaces.forEach(workspace => {
+        const option = document.createElement('option');
+        option.value = workspace.id;
+        option.textContent = workspace.name;
+        workspaceSwitcher.appendChild(option);
+    });
+    workspaceSwitcher.value = activeWorkspaceId;
+    container.style.display = workspaces.length > 1 ? 'block' : 'none';
+}
+
+async function changeWorkspace(workspaceId) {
+    try {
+        await switchWorkspace(workspaceId);
+    } catch (error) {
+        alert(error.message);
+        renderWorkspaceSwitcher();
+    }
+}
+
+// Render the workspaces settings page
+async function renderWorkspaces() {
+    const container = document.getElementById('workspacesContainer');
+    if (!container) return;
+    
+    const { workspaces, activeWorkspaceId } = await getWorkspaces();
+    const siteCounts = await Promise.all(workspaces.map(async workspace => {
+        const data = await getWorkspaceData(workspace.id);
+        return data.sites.length;
+    }));
+    
+    container.innerHTML = workspaces.map((workspace, index) => {
+        const isActive = workspace.id === activeWorkspaceId;
+        return `
+            <div class="workspace-item ${isActive ? 'active' : ''}" data-workspace-id="${escapeHtml(workspace.id)}">
+                <div>
+                    <h3>${escapeHtml(workspace.name)}</h3>
+                    <p>${siteCounts[index]} site(s)${isActive ? ' • Current workspace' : ''}</p>
+                </div>
+                <div class="workspace-item-actions">
+                    ${isActive ? '' : `<button type="button" class="switch-workspace-btn" data-workspace-id="${escapeHtml(workspace.id)}">Switch</button>`}
+                    <button type="button" class="rename-workspace-btn" data-workspace-id="${escapeHtml(workspace.id)}">Rename</button>
+                    <button type="button" class="export-workspace-btn" data-workspace-id="${escapeHtml(workspace.id)}">Export</button>
+                    ${isActive ? '' : `<button type="button" class="delete-workspace-btn" data-workspace-id="${escapeHtml(workspace.id)}">Delete</button>`}
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    container.querySelectorAll('.switch-workspace-btn').forEach(btn => {
+        btn.addEventListener('click', () => changeWorkspace(btn.getAttribute('data-workspace-id')));
+    });
+    
+    container.querySelectorAll('.rename-workspace-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const workspaceId = btn.getAttribute('data-workspace-id');
+            const workspace = workspaces.find(w => w.id === workspaceId);
+            const name = prompt('Workspace name:', workspace ? workspace.name : '');
+            if (name && name.trim()) {
+                await renameWorkspace(workspaceId, name);
+            }
+        });
+    });
+    
+    container.querySelectorAll('.export-workspace-btn').forEach(btn => {
+        btn.addEventListener('click', () => exportWorkspace(btn.getAttribute('data-workspace-id')));
+    });
+    
+    container.querySelectorAll('.delete-workspace-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const workspaceId = btn.getAttribute('data-workspace-id');
+            const workspace = workspaces.find(w => w.id === workspaceId);
+            if (!confirm(`Delete the workspace "${workspace ? workspace.name : ''}" with all its sites, scripts and theme? This cannot be undone.`)) {
+                return;
+            }
+            try {
+                await createBackup('before-delete', `Before deleting workspace "${workspace ? workspace.name : ''}"`);
+                await deleteWorkspace(workspaceId);
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+    });
+}
+
+// Export a single workspace
+async function exportWorkspace(workspaceId) {
+    const { workspaces } = await getWorkspaces();
+    const workspace = workspaces.find(w => w.id === workspaceId);
+    if (!workspace) return;
+    
+    const data = await getWorkspaceData(workspaceId);
+    const exportData = {
+        version: SCHEMA_VERSION,
+        exportDate: new Date().toISOString(),
+        workspace: { name: workspace.name },
+        data: {
+            sites: data.sites,
+            theme: data.theme,
+            globalScripts: data.globalScripts
+        }
+    };
+    
+    if (document.getElementById('exportIncludeImages').checked && data.theme && data.theme.imageId) {
+        exportData.data.images = await exportImages([data.theme.imageId]);
+    }
+    
+    const slug = workspace.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'workspace';
+    downloadJson(exportData, `site-launcher-${slug}-${new Date().toISOString().split('T')[0]}.json`);
+}
+
+function showWorkspaceStatus(message, type) {
+    workspaceStatus.textContent = message;
+    workspaceStatus.style.display = 'block';
+    
+    if (type === 'success') {
+        workspaceStatus.style.background = '#e8f5e9';
+        workspaceStatus.style.color = '#2e7d32';
+        workspaceStatus.style.border = '1px solid #4caf50';
+    } else {
+        workspaceStatus.style.background = '#ffebee';
+        workspaceStatus.style.color = '#c62828';
+        workspaceStatus.style.border = '1px solid #f44336';
+    }
+}
+
+// Setup workspaces page controls
+function setupWorkspacesPage() {
+    const nameInput = document.getElementById('newWorkspaceName');
+    const createBtn = document.getElementById('createWorkspaceBtn');
+    const importWorkspaceFile = document.getElementById('importWorkspaceFile');
+    const importWorkspaceBtn = document.getElementById('importWorkspaceBtn');
+    
+    const create = async () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.focus();
+            return;
+        }
+        await createWorkspace(name);
+        nameInput.value = '';
+    };
+    
+    createBtn.addEventListener('click', create);
+    nameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            create();
+        }
+    });
+    
+    importWorkspaceFile.addEventListener('change', (e) => {
+        importWorkspaceBtn.disabled = !e.target.files || e.target.files.length === 0;
+    });
+    
+    importWorkspaceBtn.addEventListener('click', async () => {
+        const file = importWorkspaceFile.files[0];
+        if (!file) return;
+        
+        try {
+            const importedData = JSON.parse(await file.text());
+            const { data, errors } = extractImportData(importedData);
+            const dataToImport = await importBundledImages(data);
+            const name = (importedData.workspace && importedData.workspace.name) || file.name.replace(/\.json$/i, '');
+            
+            const workspace = await createWorkspace(name, {
+                sites: (dataToImport.sites || []).map((site, index) => ({
+                    ...site,
+                    id: site.id || `imported-${Date.now()}-${index}`,
+                    createdAt: site.createdAt || Date.now()
+                })),
+                globalScripts: dataToImport.globalScripts || [],
+                theme: dataToImport.theme || null
+            });
+            
+            importWorkspaceFile.value = '';
+            importWorkspaceBtn.disabled = true;
+            showWorkspaceStatus(`Workspace "${workspace.name}" created with ${(dataToImport.sites || []).length} site(s).${errors.length > 0 ? ` ${errors.length} invalid entr${errors.length === 1 ? 'y' : 'ies'} left out: ${errors.slice(0, 3).map(formatValidationError).join('; ')}${errors.length > 3 ? '; …' : ''}` : ''}`, 'success');
+        } catch (error) {
+            showWorkspaceStatus(`Error: ${error.message}`, 'error');
+            console.error('Workspace import error:', error);
+        }
+    });
+    
+    workspaceSwitcher.addEventListener('change', (e) => changeWorkspace(e.target.value));
+}
+
+setupWorkspacesPage();
+
+// ==================== Sync ====================
+// The syncing itself happens in the service worker (sync.js); this page only flips syncEnabled,
+// asks for a sync through syncRequestedAt and shows the syncStatus the worker records.
+
+async function renderSyncStatus() {
+    const container = document.getElementById('syncStatus');
+    const toggle = document.getElementById('syncEnabled');
+    const syncNowBtn = document.getElementById('syncNowBtn');
+    if (!container) return;
+    
+    const { syncEnabled = false, syncStatus = null } = await chrome.storage.local.get(['syncEnabled', 'syncStatus']);
+    toggle.checked = syncEnabled;
+    syncNowBtn.disabled = !syncEnabled;
+    
+    if (!syncEnabled) {
+        container.innerHTML = '<p>Sync is off. Your data is only stored on this device.</p>';
+        return;
+    }
+    
+    if (!syncStatus || (!syncStatus.lastSyncedAt && !syncStatus.error)) {
+        container.innerHTML = '<p>Syncing…</p>';
+        return;
+    }
+    
+    let html = '';
+    if (syncStatus.lastSyncedAt) {
+        html += `<p>Last synced ${escapeHtml(new Date(syncStatus.lastSyncedAt).toLocaleString())}</p>`;
+    }
+    if (syncStatus.quotaBytes) {
+        const percent = Math.min(100, Math.round((syncStatus.bytesInUse || 0) / syncStatus.quotaBytes * 100));
+        html += `
+            <p>Using ${Math.ceil((syncStatus.bytesInUse || 0) / 1024)} KB of ${Math.floor(syncStatus.quotaBytes / 1024)} KB sync storage</p>
+            <div class="sync-usage-bar"><div class="${percent >= 90 ? 'near-limit' : ''}" style="width: ${percent}%;"></div></div>
+        `;
+    }
+    if (syncStatus.error) {
+        html += `<p class="sync-error">${escapeHtml(syncStatus.error)}</p>`;
+    }
+    container.innerHTML = html;
+}
+
+function setupSyncPage() {
+    const toggle = document.getElementById('syncEnabled');
+    const syncNowBtn = document.getElementById('syncNowBtn');
+    
+    toggle.addEventListener('change', async () => {
+        await chrome.storage.local.set({ syncEnabled: toggle.checked });
+    });
+    
+    syncNowBtn.addEventListener('click', async () => {
+        await chrome.storage.local.set({ syncRequestedAt: Date.now() });
+    });
+}
+
+setupSyncPage();
+
+// ==================== Data Check ====================
+// Finds broken records (see integrity.js) on load and after imports, and repairs them on request.
+
+async function getIntegrityIssues() {
+    await migrateStorage();
+    // Read global scripts as stored - getGlobalScripts() hides duplicates
+    const result = await chrome.storage.local.get(['sites', 'globalScripts']);
+    return checkDataIntegrity({
+        sites: result.sites || [],
+        globalScripts: result.globalScripts || []
+    });
+}
+
+function openIntegrityPage() {
+    hideUndoToast();
+    themeModal.classList.add('active');
+    showSettingsPage('integrity');
+}
+
+// Check the data and, if anything is wrong, offer to review it
+async function runIntegrityCheck() {
+    const issues = await getIntegrityIssues();
+    if (issues.length > 0) {
+        showUndoToast(`Found ${issues.length} problem(s) in your launcher data`, 'Review', openIntegrityPage);
+    }
+    return issues;
+}
+
+// Apply a repair to sites or global scripts (repairAll applies the default repair to everything)
+async function repairIntegrity(issue = null, repair = null) {
+    const repairSites = sites => issue
+        ? applyIntegrityRepair({ sites }, issue.key, repair).sites
+        : repairAllIntegrityIssues({ sites }).sites;
+    const repairScripts = globalScripts => issue
+        ? applyIntegrityRepair({ globalScripts }, issue.key, repair).globalScripts
+        : repairAllIntegrityIssues({ globalScripts }).globalScripts;
+    
+    await runUndoableAction('Repair data', async () => {
+        if (!issue || issue.target !== 'globalScript') {
+            await updateSites(repairSites);
+        }
+        if (!issue || issue.target === 'globalScript') {
+            await updateGlobalScripts(repairScripts, { raw: true });
+        }
+    }, { toastMessage: issue ? 'Problem repaired' : 'All problems repaired' });
+    
+    renderSites();
+    renderIntegrityReport();
+}
+
+// Render the data check page
+async function renderIntegrityReport() {
+    const container = document.getElementById('integrityContainer');
+    const repairAllBtn = document.getElementById('repairAllBtn');
+    if (!container) return;
+    
+    const issues = await getIntegrityIssues();
+    repairAllBtn.style.display = issues.length > 1 ? 'block' : 'none';
+    
+    if (issues.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state" style="padding: 40px 20px;">
+                <p style="color: #666; font-size: 14px;">No problems found. Your data looks good.</p>
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = issues.map((issue, index) => `
+        <div class="integrity-item">
+            <p>${escapeHtml(issue.message)}</p>
+            <div class="integrity-item-actions">
+                ${issue.repairs.map(repair => `
+                    <button type="button" class="integrity-repair-btn ${repair === 'delete' ? 'danger' : ''}" data-issue-index="${index}" data-repair="${repair}">${INTEGRITY_REPAIR_LABELS[repair]}</button>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+    
+    container.querySelectorAll('.integrity-repair-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const issue = issues[parseInt(btn.getAttribute('data-issue-index'), 10)];
+            repairIntegrity(issue, btn.getAttribute('data-repair'));
+        });
+    });
+}
+
+document.getElementById('repairAllBtn').addEventListener('click', () => repairIntegrity());
+
+// ==================== Trash ====================
+// Deleted sites (together with their sub-sites) and global scripts are kept here with their
+// original position, parent link and scripts until they are restored or purged
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let trashSaveQueue = Promise.resolve();
+
+async function getTrash() {
+    const result = await chrome.storage.local.get(['trash']);
+    return result.trash || [];
+}
+
+// Serialized read-modify-write of the trash, shared with other open launcher pages
+function updateTrash(mutator) {
+    const run = () => withStorageLock(TRASH_LOCK_NAME, async () => {
+        const trash = await getTrash();
+        const updated = mutator(trash);
+        await chrome.storage.local.set({ trash: updated });
+        return updated;
+    });
+    
+    const promise = trashSaveQueue.then(run, run);
+    trashSaveQueue = promise.catch(() => {});
+    return promise;
+}
+
+// 0 means items are kept until deleted by hand
+async function getTrashRetentionDays() {
+    const result = await chrome.storage.local.get(['trashRetentionDays']);
+    return result.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+// Move a site and its sub-sites to the trash
+async function moveSiteToTrash(siteId) {
+    // Deleting a whole folder also gets a backup
+    const currentSites = await getSites();
+    const folder = currentSites.find(s => s.id === siteId);
+    if (folder && currentSites.some(s => s.parentId === siteId)) {
+        await createBackup('before-delete', `Before deleting folder "${folder.name}"`);
+    }
+    
+    // The sites and the trash are written together, so closing the page half-way can't lose the sites
+    let entry = null;
+    await withStorageLock(TRASH_LOCK_NAME, () => updateSites(sites => {
+        const items = sites
+            .map((site, index) => ({ record: site, index }))
+            .filter(({ record }) => record.id === siteId || record.parentId === siteId);
+        
+        entry = items.length > 0 ? {
+            id: generateUniqueId(),
+            type: 'site',
+            deletedAt: Date.now(),
+            items
+        } : null;
+        
+        return sites.filter(s => s.id !== siteId && s.parentId !== siteId);
+    }, {
+        extraValues: async () => (entry ? { trash: [...await getTrash(), entry] } : {})
+    }));
+    return entry;
+}
+
+// Move a global script to the trash
+async function moveGlobalScriptToTrash(scriptId) {
+    let entry = null;
+    await updateGlobalScripts(scripts => {
+        const index = scripts.findIndex(s => s.id === scriptId);
+        
+        entry = index !== -1 ? {
+            id: generateUniqueId(),
+            type: 'globalScript',
+            deletedAt: Date.now(),
+            items: [{ record: scripts[index], index }]
+        } : null;
+        
+        return scripts.filter(s => s.id !== scriptId);
+    });
+    
+    if (entry) {
+        await updateTrash(trash => [...trash, entry]);
+    }
+    return entry;
+}
+
+// Put the items of a trash entry back where they were
+async function restoreFromTrash(entryId) {
+    const trash = await getTrash();
+    const entry = trash.find(e => e.id === entryId);
+    if (!entry) return;
+    
+    const items = [...entry.items].sort((a, b) => a.index - b.index);
+    
+    if (entry.type === 'site') {
+        await updateSites(sites => {
+            const existingIds = new Set(sites.map(s => s.id));
+            const restoredIds = new Set(items.map(item => item.record.id));
+            
+            items.forEach(({ record, index }) => {
+                // Already back (e.g. restored through undo)
+                if (existingIds.has(record.id)) return;
+                
+                const site = { ...record };
+                // The folder it lived in may have been deleted since - restore it as a top-level site
+                if (site.parentId && !existingIds.has(site.parentId) && !restoredIds.has(site.parentId)) {
+                    delete site.parentId;
+                }
+                sites.splice(Math.min(index, sites.length), 0, site);
+                existingIds.add(site.id);
+            });
+            return sites;
+        });
+    } else if (entry.type === 'globalScript') {
+        await updateGlobalScripts(scripts => {
+            items.forEach(({ record, index }) => {
+                if (!scripts.some(s => s.id === record.id)) {
+                    scripts.splice(Math.min(index, scripts.length), 0, record);
+                }
+            });
+            return scripts;
+        });
     }
     
-    // Render scripts when scripts page is shown
-    const scriptsPage = document.getElementById('scriptsPage');
-    if (scriptsPage) {
-        const observer = new MutationObserver((mutations) => {
-            if (scriptsPage.classList.contains('active')) {
-                renderGlobalScripts();
-            }
-        });
-        observer.observe(scriptsPage, {
-            attributes: true,
-            attributeFilter: ['class']
-        });
+    await updateTrash(trash => trash.filter(e => e.id !== entryId));
+}
+
+// Drop trash entries older than the retention period
+async function purgeExpiredTrash() {
+    const retentionDays = await getTrashRetentionDays();
+    if (!retentionDays) return;
+    
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    const trash = await getTrash();
+    if (trash.some(entry => entry.deletedAt < cutoff)) {
+        await updateTrash(trash => trash.filter(entry => entry.deletedAt >= cutoff));
     }
 }
 
-// Initialize global scripts page
-// Try to initialize immediately, and also when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        setupGlobalScriptsPage();
-    });
-} else {
-    // DOM is already ready
-    setupGlobalScriptsPage();
+function getTrashEntryTitle(entry) {
+    const first = entry.items[0]?.record;
+    if (!first) return 'Unknown item';
+    
+    if (entry.type === 'site') {
+        const subSiteCount = entry.items.length - 1;
+        return subSiteCount > 0 ? `${first.name} (+${subSiteCount} sub-site${subSiteCount === 1 ? '' : 's'})` : first.name;
+    }
+    return first.name;
 }
 
-// Also re-initialize when scripts page becomes visible (in case elements weren't ready)
-const scriptsPage = document.getElementById('scriptsPage');
-if (scriptsPage) {
-    const observer = new MutationObserver((mutations) => {
-        if (scriptsPage.classList.contains('active')) {
-            // Re-check if button exists and has listener
-            const createBtn = document.getElementById('createScriptBtn');
-            if (createBtn && !createBtn.dataset.listenerAttached) {
-                createBtn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    openGlobalScriptModal();
+// Render the trash page
+async function renderTrash() {
+    const container = document.getElementById('trashContainer');
+    const retentionInput = document.getElementById('trashRetentionDays');
+    const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+    if (!container) return;
+    
+    await purgeExpiredTrash();
+    
+    if (retentionInput && document.activeElement !== retentionInput) {
+        retentionInput.value = await getTrashRetentionDays();
+    }
+    
+    const trash = (await getTrash()).sort((a, b) => b.deletedAt - a.deletedAt);
+    if (emptyTrashBtn) {
+        emptyTrashBtn.disabled = trash.length === 0;
+    }
+    
+    if (trash.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state" style="padding: 40px 20px;">
+                <p style="color: #666; font-size: 14px;">The Trash is empty.</p>
+            </div>
+        `;
+        return;
+    }
+    
+    const typeLabels = {
+        site: 'Site',
+        globalScript: 'Global Script'
+    };
+    
+    container.innerHTML = trash.map(entry => {
+        const scriptCount = entry.type === 'site'
+            ? entry.items.reduce((count, item) => count + (item.record.scripts?.length || 0), 0)
+            : 0;
+        const scriptsText = scriptCount > 0 ? ` • ${scriptCount} script(s)` : '';
+        
+        return `
+            <div class="trash-item" data-entry-id="${entry.id}">
+                <div class="trash-item-header">
+                    <div>
+                        <h3>${escapeHtml(getTrashEntryTitle(entry))}</h3>
+                        <p>${typeLabels[entry.type] || entry.type} • Deleted ${escapeHtml(new Date(entry.deletedAt).toLocaleString())}${scriptsText}</p>
+                    </div>
+                    <div style="display: flex; gap: 8px;">
+                        <button type="button" class="restore-trash-btn" data-entry-id="${entry.id}" style="padding: 8px 16px; background: #667eea; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 13px;">Restore</button>
+                        <button type="button" class="delete-trash-btn" data-entry-id="${entry.id}" style="padding: 8px 16px; background: #ff4444; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 13px;">Delete Forever</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    container.querySelectorAll('.restore-trash-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const entryId = btn.getAttribute('data-entry-id');
+            await runUndoableAction('Restore from Trash', () => restoreFromTrash(entryId));
+            renderTrash();
+            renderGlobalScripts();
+            renderSites();
+        });
+    });
+    
+    container.querySelectorAll('.delete-trash-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const entryId = btn.getAttribute('data-entry-id');
+            if (confirm('Permanently delete this item? This cannot be undone from the Trash.')) {
+                await runUndoableAction('Delete from Trash', () => {
+                    return updateTrash(trash => trash.filter(e => e.id !== entryId));
                 });
-                createBtn.dataset.listenerAttached = 'true';
+                renderTrash();
             }
-        }
-    });
-    observer.observe(scriptsPage, {
-        attributes: true,
-        attributeFilter: ['class']
+        });
     });
 }
 
+// Setup trash page controls
+function setupTrashPage() {
+    const retentionInput = document.getElementById('trashRetentionDays');
+    const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+    
+    if (retentionInput) {
+        retentionInput.addEventListener('change', async () => {
+            const days = Math.max(0, Math.min(365, parseInt(retentionInput.value, 10) || 0));
+            retentionInput.value = days;
+            await chrome.storage.local.set({ trashRetentionDays: days });
+            renderTrash();
+        });
+    }
+    
+    if (emptyTrashBtn) {
+        emptyTrashBtn.addEventListener('click', async () => {
+            if (confirm('Permanently delete everything in the Trash?')) {
+                await runUndoableAction('Empty Trash', () => updateTrash(() => []), {
+                    toastMessage: 'Trash emptied'
+                });
+                renderTrash();
+            }
+        });
+    }
+}
+
+setupTrashPage();
+
 // Global down arrow click handler - set up once
 let downArrowClickHandler = null;
 
@@ -2756,6 +4711,7 @@ async function openSubLauncherModal(parentId) {
     
     // Track the currently open parent ID
     currentOpenSubLauncherParentId = parentId;
+    document.getElementById('subLauncherTitle').textContent = parentSite.name;
     
     const modalContentEl = modal.querySelector('.sub-launcher-modal-content');
     
@@ -2932,16 +4888,16 @@ async function openSubLauncherModal(parentId) {
             const siteId = item.getAttribute('data-id');
             const site = childSites.find(s => s.id === siteId);
             
-            item.addEventListener('click', async (e) => {
+            const handleChildClick = async (e) => {
                 // Don't navigate if clicking on edit icons
                 if (e.target.closest('.edit-icon, .delete-icon, .advanced-icon, .move-icon, .move-arrow-left, .move-arrow-right')) {
                     return;
                 }
                 e.stopPropagation();
-                // Mark that this site is being opened via launcher
-                await chrome.storage.session.set({ [`launcher_opened_${site.id}`]: true });
-                window.location.href = site.url;
-            });
+                await launchSite(site, getClickOpenMode(e));
+            };
+            item.addEventListener('click', handleChildClick);
+            addMiddleClickHandler(item, handleChildClick);
         });
         
         // Add edit icon handlers for modal sites
@@ -2962,15 +4918,16 @@ async function openSubLauncherModal(parentId) {
                 const site = sites.find(s => s.id === siteId);
                 const childSites = sites.filter(s => s.parentId === siteId);
                 
-                let confirmMessage = 'Are you sure you want to delete this site?';
+                let confirmMessage = 'Move this site to the Trash?';
                 if (childSites.length > 0) {
-                    confirmMessage += `\n\nThis site has ${childSites.length} sub-site(s). They will also be deleted.`;
+                    confirmMessage += `\n\nThis site has ${childSites.length} sub-site(s). They will also be moved to the Trash.`;
                 }
                 
                 if (confirm(confirmMessage)) {
-                    // Delete the site and all its children
-                    const filteredSites = sites.filter(s => s.id !== siteId && s.parentId !== siteId);
-                    await saveSites(filteredSites);
+                    // Move the site and all its children to the trash
+                    await runUndoableAction('Delete site', () => moveSiteToTrash(siteId), {
+                        toastMessage: `Moved "${site.name}" to Trash`
+                    });
                     // Re-render both main page and modal
                     renderSites();
                     openSubLauncherModal(parentId);
@@ -3042,7 +4999,7 @@ async function openSubLauncherModal(parentId) {
     
     // Apply the same background theme to modal as the main page
     const result = await chrome.storage.local.get(['theme']);
-    const theme = result.theme || { type: 'color', value: '#ffffff' };
+    const theme = await resolveTheme(result.theme || { type: 'color', value: '#ffffff' });
     
     // Apply the same background to modal content
     if (modalContentEl) {
@@ -3097,6 +5054,7 @@ function setupDragAndDropForModal() {
             document.querySelectorAll('#subLauncherGrid .site-item').forEach(el => {
                 el.classList.remove('drag-over');
             });
+            flushPendingSitesRefresh();
         });
         
         item.addEventListener('dragover', (e) => {
@@ -3155,13 +5113,14 @@ function setupDragAndDropForModal() {
                 const parentId = firstChild?.parentId;
                 
                 if (parentId) {
-                    const childSites = sites.filter(s => s.parentId === parentId);
-                    const reorderedChildSites = newOrder.map(id => childSites.find(s => s.id === id)).filter(Boolean);
-                    const otherSites = sites.filter(s => s.parentId !== parentId);
-                    const reorderedSites = [...otherSites, ...reorderedChildSites];
-                    
-                    // Save new order
-                    await saveSites(reorderedSites);
+                    // Save new order, keeping sub-sites added elsewhere in the meantime
+                    await runUndoableAction('Reorder sites', () => updateSites(sites => {
+                        const childSites = sites.filter(s => s.parentId === parentId);
+                        const reorderedChildSites = newOrder.map(id => childSites.find(s => s.id === id)).filter(Boolean);
+                        const newChildSites = childSites.filter(s => !reorderedChildSites.includes(s));
+                        const otherSites = sites.filter(s => s.parentId !== parentId);
+                        return [...otherSites, ...reorderedChildSites, ...newChildSites];
+                    }));
                     
                     // Re-render modal
                     openSubLauncherModal(parentId);
@@ -3215,6 +5174,12 @@ function closeModal(modalId) {
     const modal = document.getElementById(modalId);
     if (!modal) return;
     
+    // Closing the first-run chooser means starting empty
+    if (modalId === 'starterPackModal') {
+        dismissStarterPackChooser();
+        return;
+    }
+    
     // Special handling for sub-launcher modal
     if (modalId === 'subLauncherModal') {
         closeSubLauncherModal();
@@ -3234,6 +5199,11 @@ function closeModal(modalId) {
         // Reset any other state if needed
     }
     
+    // Drop the import that was being previewed
+    if (modalId === 'importPreviewModal') {
+        pendingImport = null;
+    }
+    
     // Special handling for edit site modal
     if (modalId === 'editSiteModal') {
         const form = document.getElementById('editSiteForm');
@@ -3284,7 +5254,7 @@ document.addEventListener('keydown', (e) => {
     
     if (e.key === 'Escape') {
         // Find the currently active modal
-        const modals = ['addSiteModal', 'editSiteModal', 'themeModal', 'advancedScriptsModal', 'globalScriptModal', 'subLauncherModal'];
+        const modals = ['starterPackModal', 'shareModal', 'importPreviewModal', 'addSiteModal', 'editSiteModal', 'themeModal', 'advancedScriptsModal', 'globalScriptModal', 'subLauncherModal'];
         for (const modalId of modals) {
             const modal = document.getElementById(modalId);
             if (modal && modal.classList.contains('active')) {
@@ -3449,8 +5419,7 @@ if (isMacOS) {
                     const sites = await getSites();
                     const site = sites.find(s => s.id === siteId);
                     if (site) {
-                        await chrome.storage.session.set({ [`launcher_opened_${site.id}`]: true });
-                        window.location.href = site.url;
+                        await launchSite(site);
                     }
                 }
                 return;
@@ -3530,13 +5499,11 @@ if (isMacOS) {
                                         }
                                     });
                                 } else {
-                                    await chrome.storage.session.set({ [`launcher_opened_${site.id}`]: true });
-                                    window.location.href = site.url;
+                                    await launchSite(site);
                                 }
                             } else {
                                 // Control+Number: Open site
-                                await chrome.storage.session.set({ [`launcher_opened_${site.id}`]: true });
-                                window.location.href = site.url;
+                                await launchSite(site);
                             }
                         }
                     }
@@ -3612,9 +5579,409 @@ if (isMacOS) {
     document.body.setAttribute('tabindex', '-1');
 }
 
-// Load theme and icon size, then initial render
-loadTheme();
-loadIconSize();
-setupIconSizeSlider();
-renderSites();
+// ========== Undo / Redo ==========
+// Every edit made from this page is recorded as before/after snapshots of the storage keys it touched.
+// Undo changes what the edit changed back (redo changes it again) and leaves the rest alone, so edits
+// made meanwhile in another tab or the popup survive. Lists are patched record by record (by id); if a
+// record or setting the edit touched has been changed elsewhere since, the step is refused rather than
+// overwriting that change. The live sync below re-renders.
+
+const UNDO_HISTORY_LIMIT = 50;
+const UNDO_TRACKED_KEYS = ['sites', 'globalScripts', 'trash', 'theme', 'iconSize', 'showEditOnHover', 'workspaces'];
+// Lists of records with ids, patched per record
+const UNDO_LIST_KEYS = ['sites', 'globalScripts', 'trash', 'workspaces'];
+const undoStack = [];
+const redoStack = [];
+let undoToastTimer = null;
+
+// The tracked keys, plus the parked data of every workspace (a replacing import can remove workspaces)
+async function captureUndoSnapshot() {
+    const result = await chrome.storage.local.get(UNDO_TRACKED_KEYS);
+    const workspaceKeys = (result.workspaces || []).map(workspace => getWorkspaceStorageKey(workspace.id));
+    const parked = workspaceKeys.length > 0 ? await chrome.storage.local.get(workspaceKeys) : {};
+    return structuredClone({ ...result, ...parked });
+}
+
+function getUndoSnapshotKeys(snapshot) {
+    return [...UNDO_TRACKED_KEYS, ...Object.keys(snapshot).filter(key => key.startsWith(WORKSPACE_STORAGE_PREFIX))];
+}
+
+// Record everything that changed since the before snapshot as one undo step
+async function commitUndoEntry(label, before, options = {}) {
+    const after = await captureUndoSnapshot();
+    const keys = new Set([...getUndoSnapshotKeys(before), ...getUndoSnapshotKeys(after)]);
+    const changedKeys = [...keys].filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+    if (changedKeys.length === 0) {
+        return;
+    }
+    
+    undoStack.push({ label, changedKeys, before, after });
+    if (undoStack.length > UNDO_HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack.length = 0;
+    
+    if (options.toastMessage) {
+        showUndoToast(options.toastMessage, 'Undo', undoLastAction);
+    }
+}
+
+// Run an action that writes to storage and make it undoable
+async function runUndoableAction(label, action, options = {}) {
+    const before = await captureUndoSnapshot();
+    const result = await action();
+    await commitUndoEntry(label, before, options);
+    return result;
+}
+
+class UndoConflictError extends Error {}
+
+// Turn the records of a list that the step changed from `from` into `to`, keeping every other record
+// (and records added elsewhere) where it is. Throws UndoConflictError if a touched record changed since.
+function patchUndoList(current, from, to) {
+    const fromById = new Map((from || []).map(record => [record.id, record]));
+    const toById = new Map((to || []).map(record => [record.id, record]));
+    const currentById = new Map(current.map(record => [record.id, record]));
+    
+    const touched = new Set([...fromById.keys(), ...toById.keys()]
+        .filter(id => JSON.stringify(fromById.get(id)) !== JSON.stringify(toById.get(id))));
+    touched.forEach(id => {
+        if (JSON.stringify(currentById.get(id)) !== JSON.stringify(fromById.get(id))) {
+            throw new UndoConflictError();
+        }
+    });
+    
+    const result = current
+        .filter(record => !(touched.has(record.id) && !toById.has(record.id)))
+        .map(record => (touched.has(record.id) ? toById.get(record.id) : record));
+    
+    // Put back removed records after the record they followed
+    (to || []).forEach((record, index) => {
+        if (result.some(r => r.id === record.id)) return;
+        const previous = (to || []).slice(0, index).reverse().find(r => result.some(x => x.id === r.id));
+        result.splice(previous ? result.findIndex(r => r.id === previous.id) + 1 : 0, 0, record);
+    });
+    
+    // A reorder: the records both lists share go back into their slots in the `to` order
+    const fromOrder = (from || []).filter(record => toById.has(record.id)).map(record => record.id);
+    const toOrder = (to || []).filter(record => fromById.has(record.id)).map(record => record.id);
+    if (JSON.stringify(fromOrder) !== JSON.stringify(toOrder)) {
+        const slots = result.map((record, index) => (toById.has(record.id) ? index : -1)).filter(index => index !== -1);
+        const ordered = (to || []).filter(record => result.some(r => r.id === record.id)).map(record => result.find(r => r.id === record.id));
+        slots.forEach((slot, i) => {
+            result[slot] = ordered[i];
+        });
+    }
+    return result;
+}
+
+// Apply one step from the `from` snapshot to the `to` snapshot
+async function applyUndoStep(from, to, keys) {
+    // Check everything first, so a conflict doesn't leave the step half applied
+    const current = await chrome.storage.local.get(keys);
+    keys.forEach(key => {
+        if (UNDO_LIST_KEYS.includes(key)) {
+            patchUndoList(current[key] || [], from[key], to[key]);
+        } else if (JSON.stringify(current[key]) !== JSON.stringify(from[key])) {
+            throw new UndoConflictError();
+        }
+    });
+    
+    // Sites, global scripts and the trash go through their write queues like any other edit
+    if (keys.includes('sites')) {
+        await updateSites(sites => patchUndoList(sites, from.sites, to.sites));
+    }
+    if (keys.includes('globalScripts')) {
+        await updateGlobalScripts(scripts => patchUndoList(scripts, from.globalScripts, to.globalScripts), { raw: true });
+    }
+    if (keys.includes('trash')) {
+        await updateTrash(trash => patchUndoList(trash, from.trash, to.trash));
+    }
+    
+    const otherKeys = keys.filter(key => !['sites', 'globalScripts', 'trash'].includes(key));
+    if (otherKeys.length === 0) {
+        return;
+    }
+    await withStorageLock(WORKSPACES_LOCK_NAME, async () => {
+        const latest = await chrome.storage.local.get(otherKeys);
+        const toSet = {};
+        const toRemove = [];
+        otherKeys.forEach(key => {
+            const value = key === 'workspaces' ? patchUndoList(latest.workspaces || [], from.workspaces, to.workspaces) : to[key];
+            if (key !== 'workspaces' && JSON.stringify(latest[key]) !== JSON.stringify(from[key])) {
+                throw new UndoConflictError();
+            }
+            if (value === undefined) {
+                toRemove.push(key);
+            } else {
+                toSet[key] = value;
+            }
+        });
+        if (Object.keys(toSet).length > 0) {
+            await chrome.storage.local.set(toSet);
+        }
+        if (toRemove.length > 0) {
+            await chrome.storage.local.remove(toRemove);
+        }
+    });
+}
+
+// Snapshots belong to one workspace, so history is dropped when another one is loaded
+function clearUndoHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    hideUndoToast();
+}
+
+// Returns false when the step was refused because what it touched was changed elsewhere since
+async function runUndoStep(entry, from, to, action) {
+    try {
+        await applyUndoStep(from, to, entry.changedKeys);
+        return true;
+    } catch (error) {
+        if (!(error instanceof UndoConflictError)) {
+            throw error;
+        }
+        // Later steps build on this one, so they can't be applied either
+        undoStack.length = 0;
+        redoStack.length = 0;
+        showUndoToast(`Can't ${action} "${entry.label}": it was changed in another tab or window since`);
+        return false;
+    }
+}
+
+async function undoLastAction() {
+    const entry = undoStack.pop();
+    if (!entry) {
+        showUndoToast('Nothing to undo');
+        return;
+    }
+    if (!(await runUndoStep(entry, entry.after, entry.before, 'undo'))) {
+        return;
+    }
+    redoStack.push(entry);
+    showUndoToast(`Undid: ${entry.label}`, 'Redo', redoLastAction);
+}
+
+async function redoLastAction() {
+    const entry = redoStack.pop();
+    if (!entry) {
+        showUndoToast('Nothing to redo');
+        return;
+    }
+    if (!(await runUndoStep(entry, entry.before, entry.after, 'redo'))) {
+        return;
+    }
+    undoStack.push(entry);
+    showUndoToast(`Redid: ${entry.label}`, 'Undo', undoLastAction);
+}
+
+function showUndoToast(message, actionLabel = null, actionHandler = null) {
+    const toast = document.getElementById('undoToast');
+    const messageEl = document.getElementById('undoToastMessage');
+    const actionBtn = document.getElementById('undoToastBtn');
+    if (!toast || !messageEl || !actionBtn) return;
+    
+    messageEl.textContent = message;
+    if (actionLabel && actionHandler) {
+        actionBtn.textContent = actionLabel;
+        actionBtn.style.display = '';
+        actionBtn.onclick = async () => {
+            hideUndoToast();
+            await actionHandler();
+        };
+    } else {
+        actionBtn.style.display = 'none';
+        actionBtn.onclick = null;
+    }
+    
+    toast.classList.add('active');
+    clearTimeout(undoToastTimer);
+    undoToastTimer = setTimeout(hideUndoToast, 6000);
+}
+
+function hideUndoToast() {
+    const toast = document.getElementById('undoToast');
+    if (toast) {
+        toast.classList.remove('active');
+    }
+    clearTimeout(undoToastTimer);
+}
+
+// Cmd+Z / Cmd+Shift+Z on macOS (Control+letter is taken by the launcher shortcuts there),
+// Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y elsewhere. Text fields keep their own native undo.
+document.addEventListener('keydown', (e) => {
+    const modifierPressed = isMacOS ? (e.metaKey && !e.ctrlKey) : (e.ctrlKey && !e.metaKey);
+    if (!modifierPressed || e.altKey) {
+        return;
+    }
+    
+    const target = e.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+        return;
+    }
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoLastAction();
+    } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !isMacOS)) {
+        e.preventDefault();
+        redoLastAction();
+    }
+});
+
+// ========== Live Sync Across Tabs ==========
+// Keep every open launcher page in step with changes made in other tabs, the popup or the background.
+// Refreshes never touch an open form, and grid refreshes wait until a drag or move has finished.
+
+let sitesRefreshTimer = null;
+let pendingSitesRefresh = false;
+
+function isSitesInteractionInProgress() {
+    return moveModeActive || !!document.querySelector('.site-item.dragging');
+}
+
+// Coalesce bursts of storage changes (e.g. an import writing several keys) into one refresh
+function scheduleSitesRefresh() {
+    clearTimeout(sitesRefreshTimer);
+    sitesRefreshTimer = setTimeout(refreshSitesFromStorage, 50);
+}
+
+async function refreshSitesFromStorage() {
+    if (isSitesInteractionInProgress()) {
+        // Picked up again when the drag ends or move mode is left
+        pendingSitesRefresh = true;
+        return;
+    }
+    pendingSitesRefresh = false;
+    
+    await renderSites();
+    
+    const sites = await getSites();
+    
+    // Refresh the open sub-launcher, or close it if its parent was deleted elsewhere
+    if (currentOpenSubLauncherParentId) {
+        if (sites.some(s => s.id === currentOpenSubLauncherParentId)) {
+            openSubLauncherModal(currentOpenSubLauncherParentId);
+        } else {
+            closeSubLauncherModal();
+        }
+    }
+    
+    // Keep the parent pickers current without resetting the user's selection
+    for (const selectId of ['siteParent', 'editSiteParent']) {
+        const select = document.getElementById(selectId);
+        const modal = select && select.closest('.modal');
+        if (!select || !modal || !modal.classList.contains('active') || document.activeElement === select) {
+            continue;
+        }
+        const selectedValue = select.value;
+        const excludeId = selectId === 'editSiteParent' ? document.getElementById('editSiteId').value : null;
+        await populateParentDropdown(select, excludeId);
+        if (Array.from(select.options).some(option => option.value === selectedValue)) {
+            select.value = selectedValue;
+        }
+    }
+}
+
+function flushPendingSitesRefresh() {
+    if (pendingSitesRefresh) {
+        scheduleSitesRefresh();
+    }
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') {
+        return;
+    }
+    
+    if (changes.sites) {
+        scheduleSitesRefresh();
+    }
+    
+    if (changes.theme) {
+        applyTheme(changes.theme.newValue || { type: 'color', value: '#ffffff' });
+        // The sub-launcher copies the page background when it renders
+        if (currentOpenSubLauncherParentId && !changes.sites) {
+            openSubLauncherModal(currentOpenSubLauncherParentId);
+        }
+    }
+    
+    if (changes.iconSize) {
+        // Don't override a size the user is previewing on the theme page
+        const themePage = document.getElementById('themePage');
+        const isPreviewingSize = themeModal.classList.contains('active') && themePage && themePage.classList.contains('active');
+        if (!isPreviewingSize) {
+            applyIconSize(changes.iconSize.newValue || 100);
+        }
+    }
+    
+    if (changes.globalScripts) {
+        const scriptsPage = document.getElementById('scriptsPage');
+        if (themeModal.classList.contains('active') && scriptsPage && scriptsPage.classList.contains('active')) {
+            renderGlobalScripts();
+        }
+    }
+    
+    if (changes.trash) {
+        const trashPage = document.getElementById('trashPage');
+        if (themeModal.classList.contains('active') && trashPage && trashPage.classList.contains('active')) {
+            renderTrash();
+        }
+    }
+    
+    if (changes.activeWorkspaceId) {
+        clearUndoHistory();
+    }
+    
+    if (changes.sites || changes.globalScripts) {
+        const integrityPage = document.getElementById('integrityPage');
+        if (themeModal.classList.contains('active') && integrityPage && integrityPage.classList.contains('active')) {
+            renderIntegrityReport();
+        }
+    }
+    
+    if (changes.syncEnabled || changes.syncStatus) {
+        const syncPage = document.getElementById('syncPage');
+        if (themeModal.classList.contains('active') && syncPage && syncPage.classList.contains('active')) {
+            renderSyncStatus();
+        }
+    }
+    
+    if (changes[BACKUPS_CHANGED_KEY] || changes.backupSettings) {
+        const importExportPage = document.getElementById('importexportPage');
+        if (themeModal.classList.contains('active') && importExportPage && importExportPage.classList.contains('active')) {
+            renderBackups();
+        }
+    }
+    
+    if (changes.workspaces || changes.activeWorkspaceId) {
+        renderWorkspaceSwitcher();
+        const workspacesPage = document.getElementById('workspacesPage');
+        if (themeModal.classList.contains('active') && workspacesPage && workspacesPage.classList.contains('active')) {
+            renderWorkspaces();
+        }
+    }
+    
+    // A starter pack was picked (or the chooser closed) in another tab
+    if (changes.initialized && changes.initialized.newValue) {
+        starterPackModal.classList.remove('active');
+    }
+});
+
+// Upgrade stored data, then load theme and icon size and do the initial render
+migrateStorage()
+    .catch(error => console.error('Storage migration failed:', error))
+    .finally(() => {
+        loadTheme();
+        loadIconSize();
+        setupIconSizeSlider();
+        renderSites();
+        renderWorkspaceSwitcher();
+        runIntegrityCheck().catch(error => console.error('Integrity check failed:', error));
+        purgeExpiredTrash().catch(error => console.error('Failed to purge trash:', error));
+        openStarterPackChooserIfFirstRun().catch(error => console.error('Failed to offer starter packs:', error));
+        openSharedLinkFromLocation();
+    });
 
@@ -0,0 +1,230 @@
+// Where a site opens
+// Loaded by newtab.html after storage.js
+//
+// Each site has an open mode (site.openMode, this tab when unset). A click can override it:
+// middle-click and Cmd/Ctrl-click open a background tab, Shift-click a new window.
+// Whatever the mode, the launcher_opened_ flag is set before the site's page starts loading, so the
+// service worker runs the site's launcher-only scripts in the tab or window the site opens in.
+//
+// A site can also switch to a tab where it is already open (site.switchToOpenTab, or the global
+// tabSwitchSettings when unset), matching open tabs by origin, URL prefix or exact URL. No
+// launcher_opened_ flag is set then, since no page loads. The launcher tab is closed when the tab is in
+// its window; in another window it stays, so the window it was opened in isn't left empty or changed.
+//
+// A folder can also be opened as a whole, as a tab group named after it. The group's id is kept in
+// chrome.storage.session (tab_group_<folderId>), so opening the folder a second time focuses that group
+// instead - even if it was renamed, and never a group of the same name the folder didn't open.
+
+const SITE_OPEN_MODES = {
+    current: 'This tab',
+    tab: 'New tab',
+    background: 'New background tab',
+    pinned: 'Pinned tab',
+    window: 'New window',
+    popup: 'App window (no toolbar)',
+    incognito: 'Incognito window'
+};
+
+const TAB_SWITCH_MATCH_RULES = {
+    origin: 'Same origin',
+    prefix: 'Same URL prefix',
+    exact: 'Exact URL'
+};
+
+const DEFAULT_TAB_SWITCH_SETTINGS = {
+    enabled: false,
+    match: 'origin'
+};
+
+const TAB_GROUP_COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange', 'grey'];
+
+// The mode a modifier key asks for on a click, or undefined for a plain click
+// Only the event is looked at - openSite() falls back to the site's own mode
+function getClickOpenMode(event) {
+    if (event.button === 1 || event.metaKey || event.ctrlKey) {
+        return 'background';
+    }
+    if (event.shiftKey) {
+        return 'window';
+    }
+    return undefined;
+}
+
+function getSiteOpenMode(site) {
+    return SITE_OPEN_MODES[site.openMode] ? site.openMode : 'current';
+}
+
+async function getTabSwitchSettings() {
+    const result = await chrome.storage.local.get(['tabSwitchSettings']);
+    return { ...DEFAULT_TAB_SWITCH_SETTINGS, ...(result.tabSwitchSettings || {}) };
+}
+
+// The match rule for a site's open tabs, or null if the site always opens anew
+async function getSiteTabSwitchRule(site) {
+    if (site.switchToOpenTab === 'never') {
+        return null;
+    }
+    if (TAB_SWITCH_MATCH_RULES[site.switchToOpenTab]) {
+        return site.switchToOpenTab;
+    }
+    const settings = await getTabSwitchSettings();
+    return settings.enabled && TAB_SWITCH_MATCH_RULES[settings.match] ? settings.match : null;
+}
+
+function tabMatchesSite(tabUrl, siteUrl, rule) {
+    try {
+        const tab = new URL(tabUrl);
+        const site = new URL(siteUrl);
+        if (rule === 'origin') {
+            return tab.origin === site.origin;
+        }
+        if (rule === 'exact') {
+            return tab.href === site.href;
+        }
+        // A prefix only counts up to a path, query or fragment boundary (example.com is not a prefix of example.com.evil)
+        if (!tab.href.startsWith(site.href)) {
+            return false;
+        }
+        const next = tab.href.charAt(site.href.length);
+        return !next || site.href.endsWith('/') || ['/', '?', '#'].includes(next);
+    } catch (e) {
+        return false;
+    }
+}
+
+// Activate a tab where the site is already open, closing the launcher tab if the tab is in the same window
+// Returns false when there is no such tab (or it closed before it could be activated), or the site doesn't switch
+async function switchToOpenTab(site) {
+    const rule = await getSiteTabSwitchRule(site);
+    if (!rule) {
+        return false;
+    }
+
+    const launcherTab = await chrome.tabs.getCurrent();
+    const matches = (await chrome.tabs.query({}))
+        .filter(tab => (!launcherTab || tab.id !== launcherTab.id) && tab.url && tabMatchesSite(tab.url, site.url, rule));
+    if (matches.length === 0) {
+        return false;
+    }
+
+    // The tab used last
+    const tab = matches.reduce((latest, candidate) => ((candidate.lastAccessed || 0) > (latest.lastAccessed || 0) ? candidate : latest));
+    try {
+        await chrome.tabs.update(tab.id, { active: true });
+    } catch (e) {
+        // Closed since the query - open the site instead
+        return false;
+    }
+    await chrome.windows.update(tab.windowId, { focused: true });
+    if (launcherTab && launcherTab.windowId === tab.windowId) {
+        await chrome.tabs.remove(launcherTab.id);
+    }
+    return true;
+}
+
+// Open a site in the given mode, or - with no mode - switch to its open tab if it has one, else open it in its own mode
+async function openSite(site, mode) {
+    if (!mode) {
+        if (await switchToOpenTab(site)) {
+            return;
+        }
+        mode = getSiteOpenMode(site);
+    }
+
+    if (mode === 'incognito' && !(await chrome.extension.isAllowedIncognitoAccess())) {
+        throw new Error('Site Launcher isn\'t allowed in incognito. Turn on "Allow in Incognito" on the extension\'s details page to open sites there.');
+    }
+
+    // Mark that this site is being opened via launcher
+    await chrome.storage.session.set({ [`launcher_opened_${site.id}`]: true });
+
+    if (mode === 'current') {
+        window.location.href = site.url;
+        return;
+    }
+
+    if (mode === 'window' || mode === 'popup' || mode === 'incognito') {
+        await chrome.windows.create({
+            url: site.url,
+            focused: true,
+            type: mode === 'popup' ? 'popup' : 'normal',
+            incognito: mode === 'incognito'
+        });
+        return;
+    }
+
+    // New tabs go next to the launcher rather than at the end of the tab strip (pinned tabs go with the pinned ones)
+    const launcherTab = await chrome.tabs.getCurrent();
+    const tabProperties = { url: site.url, active: mode !== 'background', pinned: mode === 'pinned' };
+    if (launcherTab) {
+        tabProperties.openerTabId = launcherTab.id;
+        if (mode !== 'pinned') {
+            tabProperties.index = launcherTab.index + 1;
+        }
+    }
+    await chrome.tabs.create(tabProperties);
+}
+
+// A folder's group gets the same color every time it is opened
+function getFolderTabGroupColor(folder) {
+    const hash = [...String(folder.id)].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+    return TAB_GROUP_COLORS[hash % TAB_GROUP_COLORS.length];
+}
+
+// The tab group a folder was last opened in, or null once it has been closed
+async function getFolderTabGroup(folder) {
+    const key = `tab_group_${folder.id}`;
+    const { [key]: groupId } = await chrome.storage.session.get([key]);
+    if (groupId === undefined) {
+        return null;
+    }
+    try {
+        return await chrome.tabGroups.get(groupId);
+    } catch (e) {
+        // The group is gone
+        await chrome.storage.session.remove(key);
+        return null;
+    }
+}
+
+// Open the sites of a folder in a tab group named after it, or focus the group if it is already open
+// Returns 'opened' or 'focused'
+async function openFolderAsTabGroup(folder, sites) {
+    const existingGroup = await getFolderTabGroup(folder);
+    if (existingGroup) {
+        const groupTabs = await chrome.tabs.query({ groupId: existingGroup.id });
+        if (groupTabs.length > 0) {
+            if (existingGroup.collapsed) {
+                await chrome.tabGroups.update(existingGroup.id, { collapsed: false });
+            }
+            await chrome.tabs.update((groupTabs.find(tab => tab.active) || groupTabs[0]).id, { active: true });
+            await chrome.windows.update(existingGroup.windowId, { focused: true });
+            return 'focused';
+        }
+    }
+
+    if (sites.length === 0) {
+        throw new Error(`${folder.name} has no sites to open`);
+    }
+
+    // Mark that these sites are being opened via launcher
+    await chrome.storage.session.set(Object.fromEntries(sites.map(site => [`launcher_opened_${site.id}`, true])));
+
+    // The group goes right after the launcher, in its window
+    const launcherTab = await chrome.tabs.getCurrent();
+    const tabs = [];
+    for (const site of sites) {
+        const tabProperties = { url: site.url, active: false };
+        if (launcherTab) {
+            tabProperties.windowId = launcherTab.windowId;
+            tabProperties.index = launcherTab.index + 1 + tabs.length;
+        }
+        tabs.push(await chrome.tabs.create(tabProperties));
+    }
+
+    const groupId = await chrome.tabs.group({ tabIds: tabs.map(tab => tab.id) });
+    await chrome.tabGroups.update(groupId, { title: folder.name, color: getFolderTabGroupColor(folder) });
+    await chrome.storage.session.set({ [`tab_group_${folder.id}`]: groupId });
+    await chrome.tabs.update(tabs[0].id, { active: true });
+    return 'opened';
+}
@@ -8,15 +8,11 @@ async function getCurrentTab() {
 
 // Get sites from storage
 async function getSites() {
+    await migrateStorage();
     const result = await chrome.storage.local.get(['sites']);
     return result.sites || [];
 }
 
-// Save sites to storage
-async function saveSites(sites) {
-    await chrome.storage.local.set({ sites });
-}
-
 // Get all possible favicon URLs in order of preference
 function getFaviconUrls(url) {
     try {
@@ -51,8 +47,41 @@ function getInitial(text) {
     return text.charAt(0).toUpperCase();
 }
 
+// Fill the workspace picker - only shown once there is more than one workspace
+async function loadWorkspaces() {
+    const { workspaces, activeWorkspaceId } = await getWorkspaces();
+    const group = document.getElementById('workspaceGroup');
+    const select = document.getElementById('workspaceSelect');
+    
+    select.innerHTML = '';
+    workspaces.forEach(workspace => {
+        const option = document.createElement('option');
+        option.value = workspace.id;
+        option.textContent = workspace.name;
+        select.appendChild(option);
+    });
+    select.value = activeWorkspaceId;
+    group.style.display = workspaces.length > 1 ? 'block' : 'none';
+}
+
+// Show whether the current page is already in the active workspace
+async function checkExistingSite() {
+    const sites = await getSites();
+    const existingSite = sites.find(site => site.url === currentTab.url);
+    
+    if (existingSite) {
+        document.getElementById('customName').value = existingSite.name;
+        showInfo('This site is already in your launcher');
+    } else {
+        document.getElementById('errorMessage').classList.remove('active');
+    }
+}
+
 // Initialize popup
 async function init() {
+    await migrateStorage();
+    await loadWorkspaces();
+    
     currentTab = await getCurrentTab();
     
     if (!currentTab || !currentTab.url) {
@@ -169,18 +198,14 @@ async function init() {
     }
 
     // Check if site already exists
-    const sites = await getSites();
-    const existingSite = sites.find(site => site.url === url);
-    
-    if (existingSite) {
-        document.getElementById('customName').value = existingSite.name;
-        showInfo('This site is already in your launcher');
-    }
+    await checkExistingSite();
 }
 
 function showError(message) {
     const errorDiv = document.getElementById('errorMessage');
     errorDiv.textContent = message;
+    // Drop the colors showInfo() may have set
+    errorDiv.removeAttribute('style');
     errorDiv.classList.add('active');
 }
 
@@ -209,46 +234,55 @@ document.getElementById('siteForm').addEventListener('submit', async (e) => {
         iconUrl = 'https://' + iconUrl;
     }
     
-    const sites = await getSites();
-    
-    // Check if site already exists
-    const existingIndex = sites.findIndex(site => site.url === url);
-    
-    if (existingIndex !== -1) {
-        // Update existing site
-        const updatedSite = {
-            ...sites[existingIndex],
-            name,
-            url
-        };
-        
-        // Set iconUrl or remove it if empty
-        if (iconUrl) {
-            updatedSite.iconUrl = iconUrl;
-        } else {
-            delete updatedSite.iconUrl;
-        }
-        
-        sites[existingIndex] = updatedSite;
-    } else {
-        // Add new site
-        const newSite = {
-            id: Date.now().toString(),
-            name,
-            url,
-            createdAt: Date.now()
-        };
-        
-        // Only add iconUrl if provided
-        if (iconUrl) {
-            newSite.iconUrl = iconUrl;
-        }
-        
-        sites.push(newSite);
+    const addBtn = document.getElementById('addBtn');
+    addBtn.disabled = true;
+    try {
+        await updateSites(sites => {
+            // Check if site already exists
+            const existingIndex = sites.findIndex(site => site.url === url);
+            
+            if (existingIndex !== -1) {
+                // Update existing site
+                const updatedSite = {
+                    ...sites[existingIndex],
+                    name,
+                    url
+                };
+            
+                // Set iconUrl or remove it if empty
+                if (iconUrl) {
+                    updatedSite.iconUrl = iconUrl;
+                } else {
+                    delete updatedSite.iconUrl;
+                }
+            
+                sites[existingIndex] = updatedSite;
+            } else {
+                // Add new site
+                const newSite = {
+                    id: generateUniqueId(),
+                    name,
+                    url,
+                    createdAt: Date.now()
+                };
+            
+                // Only add iconUrl if provided
+                if (iconUrl) {
+                    newSite.iconUrl = iconUrl;
+                }
+            
+                sites.push(newSite);
+            }
+            
+            return sites;
+        });
+    } catch (error) {
+        console.error('Failed to save site:', error);
+        showError(`Could not save the site: ${error.message}`);
+        addBtn.disabled = false;
+        return;
     }
     
-    await saveSites(sites);
-    
     // Show success message
     document.getElementById('addForm').style.display = 'none';
     document.getElementById('successMessage').classList.add('active');
@@ -259,6 +293,21 @@ document.getElementById('siteForm').addEventListener('submit', async (e) => {
     }, 1000);
 });
 
+// Switch workspace - the site is added to whichever workspace is active
+document.getElementById('workspaceSelect').addEventListener('change', async (e) => {
+    try {
+        await switchWorkspace(e.target.value);
+        
+        if (currentTab && !document.getElementById('addBtn').disabled) {
+            document.getElementById('customName').value = '';
+            await checkExistingSite();
+        }
+    } catch (error) {
+        showError(error.message);
+        await loadWorkspaces();
+    }
+});
+
 // Handle cancel button
 document.getElementById('cancelBtn').addEventListener('click', () => {
     window.close();
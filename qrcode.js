@@ -0,0 +1,356 @@
+// QR code generator
+// Loaded by newtab.html
+//
+// A small encoder for share links: byte mode only, versions 1 to 40, the smallest version that fits
+// (with error correction level M if it fits there, L otherwise) and the mask with the lowest penalty
+// score (ISO/IEC 18004).
+// createQrCode() returns the module grid; renderQrCodeSvg() draws it.
+//
+// Based on the QR Code generator library by Project Nayuki (https://www.nayuki.io/page/qr-code-generator-library):
+//
+// Copyright (c) Project Nayuki. (MIT License)
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy of
+// this software and associated documentation files (the "Software"), to deal in
+// the Software without restriction, including without limitation the rights to
+// use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+// the Software, and to permit persons to whom the Software is furnished to do so,
+// subject to the following conditions:
+// - The above copyright notice and this permission notice shall be included in
+//   all copies or substantial portions of the Software.
+// - The Software is provided "as is", without warranty of any kind, express or
+//   implied, including but not limited to the warranties of merchantability,
+//   fitness for a particular purpose and noninfringement. In no event shall the
+//   authors or copyright holders be liable for any claim, damages or other
+//   liability, whether in an action of contract, tort or otherwise, arising from,
+//   out of or in connection with the Software or the use or other dealings in the
+//   Software.
+
+const QR_ECC_CODEWORDS_PER_BLOCK = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28]
+};
+
+const QR_ERROR_CORRECTION_BLOCKS = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+};
+
+// The two format bits for each level
+const QR_ECC_FORMAT_BITS = { L: 1, M: 0 };
+
+// Modules available for data and error correction in a version
+function getQrRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignCount = Math.floor(version / 7) + 2;
+        result -= (25 * alignCount - 10) * alignCount - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function getQrDataCodewords(version, ecl) {
+    return Math.floor(getQrRawDataModules(version) / 8) - QR_ECC_CODEWORDS_PER_BLOCK[ecl][version] * QR_ERROR_CORRECTION_BLOCKS[ecl][version];
+}
+
+function getQrAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = version * 4 + 10; positions.length < count; pos -= step) {
+        positions.splice(1, 0, pos);
+    }
+    return positions;
+}
+
+// Reed-Solomon arithmetic in GF(2^8) with the polynomial 0x11D
+function qrMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function qrReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = qrMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = qrMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function qrReedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= qrMultiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+// Split the data into blocks, add error correction to each and interleave them
+function addQrErrorCorrection(data, version, ecl) {
+    const blockCount = QR_ERROR_CORRECTION_BLOCKS[ecl][version];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[ecl][version];
+    const rawCodewords = Math.floor(getQrRawDataModules(version) / 8);
+    const shortBlockCount = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = qrReedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < blockCount; i++) {
+        const dataLength = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+        const blockData = data.slice(k, k + dataLength);
+        k += dataLength;
+        const ecc = qrReedSolomonRemainder(blockData, divisor);
+        // Short blocks get a placeholder so every block lines up when interleaving
+        if (i < shortBlockCount) blockData.push(null);
+        blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach(block => {
+            if (block[i] !== null) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+// The data codewords for text in byte mode, or null if it doesn't fit the version
+function encodeQrData(bytes, version, ecl) {
+    const capacityBits = getQrDataCodewords(version, ecl) * 8;
+    const countBits = version <= 9 ? 8 : 16;
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    append(0b0100, 4);
+    append(bytes.length, countBits);
+    bytes.forEach(byte => append(byte, 8));
+    if (bits.length > capacityBits) return null;
+
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+// BCH-protected bits for the format (level and mask) and version areas
+function getQrFormatBits(ecl, mask) {
+    const data = (QR_ECC_FORMAT_BITS[ecl] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    return ((data << 10) | remainder) ^ 0x5412;
+}
+
+function getQrVersionBits(version) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    return (version << 12) | remainder;
+}
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// The symbol for one version, level and mask - modules[y][x] is true for dark
+function buildQrSymbol(codewords, version, ecl, mask) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    });
+
+    // Alignment patterns, except where they would overlap the finders
+    const alignment = getQrAlignmentPositions(version);
+    alignment.forEach((ay, i) => {
+        alignment.forEach((ax, j) => {
+            const last = alignment.length - 1;
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Format information, twice
+    const format = getQrFormatBits(ecl, mask);
+    const formatBit = (i) => ((format >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) set(8, i, formatBit(i));
+    set(8, 7, formatBit(6));
+    set(8, 8, formatBit(7));
+    set(7, 8, formatBit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, formatBit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, formatBit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, formatBit(i));
+    set(8, size - 8, true);
+
+    // Version information from version 7 on
+    if (version >= 7) {
+        const versionBits = getQrVersionBits(version);
+        for (let i = 0; i < 18; i++) {
+            const dark = ((versionBits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    // Data in two-module columns, zigzagging up and down from the bottom right
+    let bitIndex = 0;
+    const totalBits = codewords.length * 8;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!isFunction[y][x]) {
+                    if (bitIndex < totalBits) {
+                        modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                        bitIndex++;
+                    }
+                    if (QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+                }
+            }
+        }
+    }
+
+    return modules;
+}
+
+// Penalty score of a symbol, used to pick the mask
+function getQrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+
+    const scoreLine = (line) => {
+        let score = 0;
+        let runLength = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                runLength++;
+            } else {
+                if (runLength >= 5) score += runLength - 2;
+                runLength = 1;
+            }
+        }
+        // Finder-like 1:1:3:1:1 patterns with four light modules on either side
+        const text = line.map(dark => (dark ? '1' : '0')).join('');
+        const padded = `0000${text}0000`;
+        for (let i = padded.indexOf('1011101'); i !== -1; i = padded.indexOf('1011101', i + 1)) {
+            if (padded.slice(i - 4, i) === '0000' || padded.slice(i + 7, i + 11) === '0000') score += 40;
+        }
+        return score;
+    };
+
+    for (let y = 0; y < size; y++) penalty += scoreLine(modules[y]);
+    for (let x = 0; x < size; x++) penalty += scoreLine(modules.map(row => row[x]));
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) penalty += 3;
+            }
+        }
+    }
+    const total = size * size;
+    penalty += Math.ceil(Math.abs(dark * 20 - total * 10) / total - 1) * 10;
+
+    return penalty;
+}
+
+// Encode text as a QR code - returns the module grid, or null when the text is too long for any version
+function createQrCode(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    for (let version = 1; version <= 40; version++) {
+        for (const ecl of ['M', 'L']) {
+            const data = encodeQrData(bytes, version, ecl);
+            if (!data) continue;
+
+            const codewords = addQrErrorCorrection(data, version, ecl);
+            let best = null;
+            let bestPenalty = Infinity;
+            for (let mask = 0; mask < QR_MASKS.length; mask++) {
+                const modules = buildQrSymbol(codewords, version, ecl, mask);
+                const penalty = getQrPenalty(modules);
+                if (penalty < bestPenalty) {
+                    best = modules;
+                    bestPenalty = penalty;
+                }
+            }
+            return best;
+        }
+    }
+    return null;
+}
+
+// Draw a module grid as an SVG string, with the four-module quiet zone around it
+function renderQrCodeSvg(modules, pixelSize = 240) {
+    const size = modules.length + 8;
+    let path = '';
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path += `M${x + 4} ${y + 4}h1v1h-1z`;
+        });
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${pixelSize}" height="${pixelSize}" shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
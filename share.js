@@ -0,0 +1,103 @@
+// Share links for a folder or site
+// Loaded by newtab.html after encryption.js
+//
+// A share link carries the site, or the folder and its sites, in the URL fragment of the new tab
+// page: JSON, deflate-compressed and base64url-encoded. Fragments never reach a server, so the
+// link works offline and shares nothing beyond what it contains.
+
+const SHARE_LINK_PARAM = 'share';
+const SHARE_PAYLOAD_VERSION = 1;
+// The most a link may expand to - a tiny crafted link could otherwise inflate to hundreds of MB
+const MAX_SHARE_PAYLOAD_BYTES = 2 * 1024 * 1024;
+
+// The fields a shared site keeps - bookmark links and timestamps only mean something locally
+const SHARED_SITE_FIELDS = ['id', 'name', 'url', 'iconUrl', 'parentId', 'openMode', 'switchToOpenTab'];
+
+// The site with its sites if it is a folder, ready to share
+function buildSharePayload(sites, siteId, includeScripts) {
+    const root = sites.find(site => site.id === siteId);
+    if (!root) {
+        throw new Error('The site to share no longer exists');
+    }
+
+    const shared = [root, ...sites.filter(site => site.parentId === root.id)].map(site => {
+        const copy = {};
+        SHARED_SITE_FIELDS.forEach(field => {
+            if (site[field] !== undefined) copy[field] = site[field];
+        });
+        // Uploaded icons would make the link too long for a QR code
+        if (copy.iconUrl && copy.iconUrl.startsWith('data:')) delete copy.iconUrl;
+        if (includeScripts && Array.isArray(site.scripts) && site.scripts.length > 0) {
+            copy.scripts = site.scripts;
+        }
+        return copy;
+    });
+    // A site shared out of its folder arrives at the top level
+    delete shared[0].parentId;
+
+    return { v: SHARE_PAYLOAD_VERSION, sites: shared };
+}
+
+async function compressText(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// The decompressed text, or null once it grows past maxBytes (the rest is not inflated)
+async function decompressText(bytes, maxBytes) {
+    const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.length;
+        if (size > maxBytes) {
+            await reader.cancel();
+            return null;
+        }
+        chunks.push(value);
+    }
+    return new TextDecoder().decode(await new Blob(chunks).arrayBuffer());
+}
+
+async function encodeShareLink(payload) {
+    const base64 = bytesToBase64(await compressText(JSON.stringify(payload)));
+    const encoded = base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `${chrome.runtime.getURL('newtab.html')}#${SHARE_LINK_PARAM}=${encoded}`;
+}
+
+// The encoded payload in a share link or fragment, or null if it isn't one
+function getSharedPayloadParam(link) {
+    const hashIndex = String(link || '').indexOf('#');
+    const fragment = hashIndex === -1 ? String(link || '').trim() : link.slice(hashIndex + 1);
+    const match = new RegExp(`^${SHARE_LINK_PARAM}=([A-Za-z0-9_-]+)$`).exec(fragment.trim());
+    return match ? match[1] : null;
+}
+
+async function decodeShareLink(link) {
+    const encoded = getSharedPayloadParam(link);
+    if (!encoded) {
+        throw new Error('This is not a Site Launcher share link');
+    }
+
+    let text;
+    let payload;
+    try {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        text = await decompressText(base64ToBytes(base64 + '='.repeat((4 - base64.length % 4) % 4)), MAX_SHARE_PAYLOAD_BYTES);
+        payload = text === null ? null : JSON.parse(text);
+    } catch (error) {
+        throw new Error('The share link is incomplete or damaged');
+    }
+    if (text === null) {
+        throw new Error(`The share link holds more than ${MAX_SHARE_PAYLOAD_BYTES / (1024 * 1024)} MB of data and was not opened`);
+    }
+    if (!payload || !Array.isArray(payload.sites)) {
+        throw new Error('The share link is incomplete or damaged');
+    }
+    if (payload.v !== SHARE_PAYLOAD_VERSION) {
+        throw new Error('This share link was created by a newer version of Site Launcher. Please update the extension first.');
+    }
+    return { sites: payload.sites };
+}
@@ -0,0 +1,68 @@
+// Starter packs
+// Loaded by newtab.html after validation.js
+//
+// A starter pack is a bundled file of sites in the export format (see default.json), offered on
+// first run and under Import / Export. An administrator can add their own pack by placing
+// starter-packs/custom.json in the extension folder; it may carry a name and description of its own
+// and is offered first. The empty pack has no file.
+
+const CUSTOM_STARTER_PACK_FILE = 'starter-packs/custom.json';
+
+const STARTER_PACKS = [
+    { id: 'popular', name: 'Popular Sites', description: 'A hundred well-known sites: search, mail, social, news, shopping and more.', file: 'default.json' },
+    { id: 'developer', name: 'Developer', description: 'Code hosting, documentation, package registries and developer communities.', file: 'starter-packs/developer.json' },
+    { id: 'productivity', name: 'Productivity', description: 'Mail, calendar, documents, notes, chat and project boards.', file: 'starter-packs/productivity.json' },
+    { id: 'empty', name: 'Empty', description: 'Start with no sites and add your own.', file: null }
+];
+
+async function fetchStarterPackFile(file) {
+    const response = await fetch(chrome.runtime.getURL(file));
+    if (!response.ok) {
+        throw new Error(`${file} could not be read (${response.status})`);
+    }
+    return response.json();
+}
+
+// The packs to offer, the custom pack first when one is installed
+async function getStarterPacks() {
+    try {
+        const data = await fetchStarterPackFile(CUSTOM_STARTER_PACK_FILE);
+        return [{
+            id: 'custom',
+            name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Your Organization',
+            description: typeof data.description === 'string' && data.description.trim() ? data.description.trim() : 'The sites your administrator set up.',
+            file: CUSTOM_STARTER_PACK_FILE
+        }, ...STARTER_PACKS];
+    } catch (e) {
+        // No custom pack installed
+        return STARTER_PACKS;
+    }
+}
+
+// Read a pack's sites, brought up to the current schema
+// Returns { sites, errors } - a broken entry is reported and left out rather than stored
+async function loadStarterPack(pack) {
+    if (!pack.file) {
+        return { sites: [], errors: [] };
+    }
+
+    const data = await fetchStarterPackFile(pack.file);
+
+    // Handle both old format (array) and new format (object with data property)
+    let sites;
+    if (Array.isArray(data)) {
+        sites = data;
+    } else if (data && data.data && Array.isArray(data.data.sites)) {
+        sites = data.data.sites;
+    } else {
+        throw new Error(`${pack.file} is not a Site Launcher export`);
+    }
+
+    const { data: validData, errors } = validateImportData({ sites });
+    const fromVersion = Array.isArray(data) ? 1 : getPayloadSchemaVersion(data);
+    const now = Date.now();
+    return {
+        sites: migrateData(validData, fromVersion).sites.map(site => ({ ...site, createdAt: now })),
+        errors
+    };
+}
@@ -0,0 +1,487 @@
+// Shared storage schema and migrations
+// Loaded by newtab.html and popup.html, and by background.js via importScripts()
+// The migrations store images, so idb.js and images.js are loaded alongside it
+
+// Bump this and add a migration below whenever the shape of stored data changes
+const SCHEMA_VERSION = 3;
+
+// Storage keys that make up the versioned dataset
+const SCHEMA_KEYS = ['sites', 'globalScripts', 'theme', 'customImages'];
+
+const DEFAULT_THEME = { type: 'color', value: '#ffffff' };
+
+function generateUniqueId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+}
+
+// Migrations keyed by the version they upgrade from.
+// Each one receives the dataset (any of SCHEMA_KEYS may be missing) and returns the upgraded dataset.
+const STORAGE_MIGRATIONS = {
+    // 1 -> 2: make script flags explicit and use string ids everywhere
+    1: (data) => {
+        const migrated = { ...data };
+
+        if (Array.isArray(data.sites)) {
+            migrated.sites = data.sites.map(site => {
+                const upgraded = { ...site };
+                if (upgraded.id !== undefined && upgraded.id !== null) {
+                    upgraded.id = String(upgraded.id);
+                }
+                if (upgraded.parentId) {
+                    upgraded.parentId = String(upgraded.parentId);
+                } else {
+                    delete upgraded.parentId;
+                }
+                if (Array.isArray(site.scripts)) {
+                    upgraded.scripts = site.scripts.map(script => ({
+                        ...script,
+                        timing: script.timing || 'document_end',
+                        // Scripts saved before the runAlways option existed always ran
+                        runAlways: script.runAlways !== false,
+                        confirmPopup: script.confirmPopup === true
+                    }));
+                }
+                return upgraded;
+            });
+        }
+
+        if (Array.isArray(data.globalScripts)) {
+            migrated.globalScripts = data.globalScripts.map(script => ({
+                ...script,
+                id: script.id ? String(script.id) : generateUniqueId(),
+                whenToRun: script.whenToRun || 'navigating_in',
+                onRefresh: script.onRefresh === true,
+                confirmPopup: script.confirmPopup === true,
+                scripts: Array.isArray(script.scripts)
+                    ? script.scripts.map(code => ({ ...code, timing: code.timing || 'document_end' }))
+                    : []
+            }));
+        }
+
+        if (data.theme && data.theme.type !== 'color' && data.theme.type !== 'image') {
+            migrated.theme = { ...DEFAULT_THEME };
+        }
+
+        if (Array.isArray(data.customImages)) {
+            migrated.customImages = data.customImages.filter(img => typeof img === 'string');
+        }
+
+        return migrated;
+    },
+
+    // 2 -> 3: uploaded images move out of chrome.storage.local into IndexedDB (see images.js).
+    // Data URLs in customImages and in an image theme become bundled images (data.images), which
+    // whoever applies the data stores with importBundledImages().
+    2: (data) => {
+        const migrated = { ...data };
+        const images = Array.isArray(data.images) ? [...data.images] : [];
+        const bundledIds = new Map();
+        const bundle = (dataUrl) => {
+            if (!bundledIds.has(dataUrl)) {
+                const id = `legacy-${generateUniqueId()}`;
+                bundledIds.set(dataUrl, id);
+                images.push({ id, dataUrl });
+            }
+            return bundledIds.get(dataUrl);
+        };
+
+        if (Array.isArray(data.customImages)) {
+            data.customImages
+                .filter(dataUrl => typeof dataUrl === 'string' && dataUrl.startsWith('data:'))
+                .forEach(bundle);
+        }
+        delete migrated.customImages;
+
+        if (data.theme && data.theme.type === 'image' && typeof data.theme.value === 'string' && data.theme.value.startsWith('data:')) {
+            migrated.theme = { type: 'image', imageId: bundle(data.theme.value) };
+        }
+
+        if (images.length > 0) {
+            migrated.images = images;
+        }
+        return migrated;
+    }
+};
+
+// Get the schema version of an export payload
+// Exports made before versioning carry "1.0.0" (or nothing at all), which is version 1
+function getPayloadSchemaVersion(payload) {
+    const version = payload && payload.version;
+    if (Number.isInteger(version) && version > 0) {
+        return version;
+    }
+    return 1;
+}
+
+// Run every migration between fromVersion and SCHEMA_VERSION on a dataset
+function migrateData(data, fromVersion) {
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(`This data was created by a newer version of Site Launcher (schema ${fromVersion}). Please update the extension first.`);
+    }
+
+    let migrated = { ...data };
+    for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+        const migration = STORAGE_MIGRATIONS[version];
+        if (migration) {
+            migrated = migration(migrated);
+        }
+    }
+    return normalizeData(migrated);
+}
+
+// Make defaults explicit in data of the current schema, which imports, share links and starter packs
+// may still leave out. A site script without runAlways runs on every visit, as it always has.
+function normalizeData(data) {
+    if (!Array.isArray(data.sites)) {
+        return data;
+    }
+    return {
+        ...data,
+        sites: data.sites.map(site => (Array.isArray(site.scripts)
+            ? { ...site, scripts: site.scripts.map(script => ({ ...script, runAlways: script.runAlways !== false })) }
+            : site))
+    };
+}
+
+let storageMigrationPromise = null;
+
+// Upgrade chrome.storage.local to SCHEMA_VERSION
+// Safe to call from every context and as often as needed - the work is done once per context.
+// It takes the workspaces and sites locks when there is something to upgrade, so don't call it while holding either.
+function migrateStorage() {
+    if (!storageMigrationPromise) {
+        storageMigrationPromise = runStorageMigration().catch(error => {
+            // Allow a later call to retry
+            storageMigrationPromise = null;
+            throw error;
+        });
+    }
+    return storageMigrationPromise;
+}
+
+async function runStorageMigration() {
+    const { schemaVersion } = await chrome.storage.local.get(['schemaVersion']);
+    if ((schemaVersion || 1) >= SCHEMA_VERSION) {
+        return;
+    }
+
+    // The service worker, the popup and every open launcher migrate at startup - the locks keep a
+    // second context from upgrading again and from writing over a sites or workspace change.
+    // Same order as switchWorkspace(), so the two can't deadlock.
+    await withStorageLock(WORKSPACES_LOCK_NAME, () => withStorageLock(SITES_LOCK_NAME, upgradeStoredData));
+}
+
+async function upgradeStoredData() {
+    const result = await chrome.storage.local.get(null);
+    const fromVersion = result.schemaVersion || 1;
+
+    // Another context upgraded it while waiting for the locks, or the data was written by a newer version (leave it untouched)
+    if (fromVersion >= SCHEMA_VERSION) {
+        return;
+    }
+
+    const data = {};
+    SCHEMA_KEYS.forEach(key => {
+        if (result[key] !== undefined) {
+            data[key] = result[key];
+        }
+    });
+
+    // Parked workspaces hold the same keys and are upgraded along with the active one
+    const parkedWorkspaces = {};
+    for (const key of Object.keys(result).filter(key => key.startsWith(WORKSPACE_STORAGE_PREFIX))) {
+        parkedWorkspaces[key] = await importBundledImages(migrateData(result[key] || {}, fromVersion));
+    }
+
+    const migrated = await importBundledImages(migrateData(data, fromVersion));
+    await chrome.storage.local.set({ ...migrated, ...parkedWorkspaces, schemaVersion: SCHEMA_VERSION });
+
+    // Keys a migration dropped
+    const droppedKeys = Object.keys(data).filter(key => !(key in migrated));
+    if (droppedKeys.length > 0) {
+        await chrome.storage.local.remove(droppedKeys);
+    }
+}
+
+// Build the export payload for everything in storage (uploaded images are only referenced)
+// Used for the Export button and for backups
+async function buildExportPayload() {
+    await migrateStorage();
+    const allData = await chrome.storage.local.get(null);
+    const { workspaces, activeWorkspaceId } = await getWorkspaces();
+
+    return {
+        version: SCHEMA_VERSION,
+        exportDate: new Date().toISOString(),
+        data: {
+            sites: allData.sites || [],
+            theme: allData.theme || null,
+            iconSize: allData.iconSize || 100,
+            showEditOnHover: allData.showEditOnHover || false,
+            globalScripts: allData.globalScripts || [],
+            // The other (inactive) workspaces
+            workspaces: workspaces
+                .filter(workspace => workspace.id !== activeWorkspaceId)
+                .map(workspace => {
+                    const parked = allData[getWorkspaceStorageKey(workspace.id)] || {};
+                    return {
+                        name: workspace.name,
+                        sites: parked.sites || [],
+                        globalScripts: parked.globalScripts || [],
+                        theme: parked.theme || null
+                    };
+                })
+        }
+    };
+}
+
+// Keep only the picked parts of an export's data
+// selection: { siteIds, globalScriptIds (Sets), theme, settings, workspaces (booleans) }
+// A picked site brings its folder along so it is imported into the same folder
+function selectExportData(data, selection) {
+    const siteIds = new Set(selection.siteIds);
+    (data.sites || []).forEach(site => {
+        if (siteIds.has(site.id) && site.parentId) {
+            siteIds.add(site.parentId);
+        }
+    });
+
+    const selected = { sites: (data.sites || []).filter(site => siteIds.has(site.id)) };
+    const globalScripts = (data.globalScripts || []).filter(script => selection.globalScriptIds.has(script.id));
+    if (globalScripts.length > 0) {
+        selected.globalScripts = globalScripts;
+    }
+    if (selection.theme && data.theme) {
+        selected.theme = data.theme;
+    }
+    if (selection.settings) {
+        selected.iconSize = data.iconSize;
+        selected.showEditOnHover = data.showEditOnHover;
+    }
+    if (selection.workspaces && Array.isArray(data.workspaces)) {
+        selected.workspaces = data.workspaces;
+    }
+    return selected;
+}
+
+// ========== Sites Transactions ==========
+
+const SITES_LOCK_NAME = 'site-launcher-sites';
+// Taken before the sites lock when both are needed (see moveSiteToTrash() in newtab.js)
+const TRASH_LOCK_NAME = 'site-launcher-trash';
+const MAX_SITES_UPDATE_ATTEMPTS = 5;
+
+let sitesUpdateQueue = Promise.resolve();
+
+// Run callback while holding a lock shared by every extension context (pages and service worker)
+function withStorageLock(name, callback) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+        return navigator.locks.request(name, callback);
+    }
+    return callback();
+}
+
+// Transactional read-modify-write of the sites list - the only way sites should be written.
+// The mutator gets a copy of the current sites and returns the new list (returning nothing keeps the modified copy).
+// Every write bumps sitesRevision; if another context wrote in between, the mutator is re-run on the fresh list,
+// so mutators should work by site id rather than by positions captured beforehand.
+// options.extraValues(updatedSites) may return more storage values to write in the same set() call.
+function updateSites(mutator, options = {}) {
+    return queueSitesTransaction(() => commitSitesUpdate(mutator, options));
+}
+
+// Add the first sites of a fresh install and mark it initialized, in one write.
+// Resolves false and writes nothing when another window initialized it first, so a pack is never added twice.
+function seedInitialSites(seedSites) {
+    return queueSitesTransaction(async () => {
+        const result = await chrome.storage.local.get(['sites', 'sitesRevision', 'initialized']);
+        if (result.initialized) {
+            return false;
+        }
+
+        // Keep whatever arrived while the first run was set up
+        await chrome.storage.local.set({
+            sites: [...(result.sites || []), ...seedSites],
+            sitesRevision: (result.sitesRevision || 0) + 1,
+            initialized: true
+        });
+        return true;
+    });
+}
+
+// The storage is upgraded before the lock is taken (the migration takes it too)
+function queueSitesTransaction(transaction) {
+    const run = async () => {
+        await migrateStorage();
+        return withStorageLock(SITES_LOCK_NAME, transaction);
+    };
+    const promise = sitesUpdateQueue.then(run, run);
+    sitesUpdateQueue = promise.catch(() => {});
+    return promise;
+}
+
+async function commitSitesUpdate(mutator, options) {
+    for (let attempt = 0; attempt < MAX_SITES_UPDATE_ATTEMPTS; attempt++) {
+        const result = await chrome.storage.local.get(['sites', 'sitesRevision']);
+        const revision = result.sitesRevision || 0;
+        const draft = structuredClone(result.sites || []);
+        const returned = await mutator(draft);
+        const updated = returned === undefined ? draft : returned;
+
+        // Someone else wrote while the mutator ran - start over from their data
+        const latest = await chrome.storage.local.get(['sitesRevision']);
+        if ((latest.sitesRevision || 0) !== revision) {
+            continue;
+        }
+
+        const extraValues = options.extraValues ? await options.extraValues(updated) : {};
+        await chrome.storage.local.set({ ...extraValues, sites: updated, sitesRevision: revision + 1 });
+        return updated;
+    }
+
+    throw new Error('Your sites were changed in another window while saving. Please try again.');
+}
+
+// ========== Workspaces ==========
+// The active workspace always lives in the regular top-level keys, so the launcher, the popup and
+// the service worker keep reading sites/globalScripts/theme as before.
+// Inactive workspaces are parked under workspace_<id> and swapped in by switchWorkspace().
+
+const WORKSPACE_KEYS = ['sites', 'globalScripts', 'theme', 'trash'];
+const WORKSPACE_STORAGE_PREFIX = 'workspace_';
+const WORKSPACES_LOCK_NAME = 'site-launcher-workspaces';
+const DEFAULT_WORKSPACE = { id: 'default', name: 'Default' };
+
+function getWorkspaceStorageKey(workspaceId) {
+    return `${WORKSPACE_STORAGE_PREFIX}${workspaceId}`;
+}
+
+// Get the list of workspaces and the id of the active one
+// Installs that never created a workspace have a single implicit "Default" workspace
+async function getWorkspaces() {
+    const result = await chrome.storage.local.get(['workspaces', 'activeWorkspaceId']);
+    const workspaces = Array.isArray(result.workspaces) && result.workspaces.length > 0
+        ? result.workspaces
+        : [{ ...DEFAULT_WORKSPACE }];
+    const activeWorkspaceId = workspaces.some(w => w.id === result.activeWorkspaceId)
+        ? result.activeWorkspaceId
+        : workspaces[0].id;
+
+    return { workspaces, activeWorkspaceId };
+}
+
+// Get the sites, global scripts and theme of any workspace
+async function getWorkspaceData(workspaceId) {
+    await migrateStorage();
+    const { activeWorkspaceId } = await getWorkspaces();
+
+    if (workspaceId === activeWorkspaceId) {
+        const result = await chrome.storage.local.get(WORKSPACE_KEYS);
+        return {
+            sites: result.sites || [],
+            globalScripts: result.globalScripts || [],
+            theme: result.theme || null,
+            trash: result.trash || []
+        };
+    }
+
+    const key = getWorkspaceStorageKey(workspaceId);
+    const result = await chrome.storage.local.get([key]);
+    const data = result[key] || {};
+    return {
+        sites: data.sites || [],
+        globalScripts: data.globalScripts || [],
+        theme: data.theme || null,
+        trash: data.trash || []
+    };
+}
+
+// Create a workspace, optionally pre-filled with sites/globalScripts/theme, and return it
+async function createWorkspace(name, data = {}) {
+    await migrateStorage();
+    return withStorageLock(WORKSPACES_LOCK_NAME, async () => {
+        const { workspaces, activeWorkspaceId } = await getWorkspaces();
+
+        const workspace = {
+            id: generateUniqueId(),
+            name: name.trim() || 'Untitled',
+            createdAt: Date.now()
+        };
+
+        await chrome.storage.local.set({
+            workspaces: [...workspaces, workspace],
+            activeWorkspaceId,
+            [getWorkspaceStorageKey(workspace.id)]: {
+                sites: data.sites || [],
+                globalScripts: data.globalScripts || [],
+                theme: data.theme || null,
+                trash: []
+            }
+        });
+        return workspace;
+    });
+}
+
+function renameWorkspace(workspaceId, name) {
+    return withStorageLock(WORKSPACES_LOCK_NAME, async () => {
+        const { workspaces, activeWorkspaceId } = await getWorkspaces();
+        const updated = workspaces.map(w => w.id === workspaceId ? { ...w, name: name.trim() || w.name } : w);
+        await chrome.storage.local.set({ workspaces: updated, activeWorkspaceId });
+    });
+}
+
+// Delete an inactive workspace and everything in it
+function deleteWorkspace(workspaceId) {
+    return withStorageLock(WORKSPACES_LOCK_NAME, async () => {
+        const { workspaces, activeWorkspaceId } = await getWorkspaces();
+        if (workspaceId === activeWorkspaceId) {
+            throw new Error('Switch to another workspace before deleting this one.');
+        }
+
+        await chrome.storage.local.set({ workspaces: workspaces.filter(w => w.id !== workspaceId) });
+        await chrome.storage.local.remove(getWorkspaceStorageKey(workspaceId));
+    });
+}
+
+// Park the active workspace and load another one into the top-level keys.
+// Holds the sites lock too, so no sites transaction can land half-way through the swap.
+async function switchWorkspace(workspaceId) {
+    await migrateStorage();
+    return withStorageLock(WORKSPACES_LOCK_NAME, () => withStorageLock(SITES_LOCK_NAME, async () => {
+        const { workspaces, activeWorkspaceId } = await getWorkspaces();
+
+        if (workspaceId === activeWorkspaceId) return;
+        if (!workspaces.some(w => w.id === workspaceId)) {
+            throw new Error('This workspace no longer exists.');
+        }
+
+        const targetKey = getWorkspaceStorageKey(workspaceId);
+        const current = await chrome.storage.local.get([...WORKSPACE_KEYS, 'sitesRevision', targetKey]);
+        const target = current[targetKey] || {};
+
+        const parked = {};
+        WORKSPACE_KEYS.forEach(key => {
+            parked[key] = current[key] !== undefined ? current[key] : null;
+        });
+
+        const update = {
+            workspaces,
+            activeWorkspaceId: workspaceId,
+            [getWorkspaceStorageKey(activeWorkspaceId)]: parked,
+            sites: target.sites || [],
+            globalScripts: target.globalScripts || [],
+            trash: target.trash || [],
+            // Other contexts holding the old list must not write it into this workspace
+            sitesRevision: (current.sitesRevision || 0) + 1
+        };
+        if (target.theme) {
+            update.theme = target.theme;
+        }
+
+        await chrome.storage.local.set(update);
+        await chrome.storage.local.remove(target.theme ? [targetKey] : [targetKey, 'theme']);
+    }));
+}
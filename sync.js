@@ -0,0 +1,501 @@
+// Cross-device sync through chrome.storage.sync
+// Loaded by background.js via importScripts() after storage.js - all syncing runs in the service worker.
+//
+// The launcher keeps working on chrome.storage.local. When sync is turned on (per device, syncEnabled),
+// every workspace plus the shared settings are serialized into one payload, split into chunks that fit
+// the chrome.storage.sync quotas and written under sync_chunk_<n>, with sync_manifest describing them.
+// Other devices merge that payload into their local data against the last version both sides agreed on
+// (syncBase), so edits made on different devices to different sites don't overwrite each other.
+// Uploaded background images and the trash never leave the device.
+
+const SYNC_MANIFEST_KEY = 'sync_manifest';
+const SYNC_CHUNK_PREFIX = 'sync_chunk_';
+const SYNC_LOCK_NAME = 'site-launcher-sync';
+const SYNC_PUSH_DELAY = 2000;
+const SYNC_PUSH_ALARM_NAME = 'site-launcher-sync-push';
+// Waits before reading again when another device is half-way through writing, longest last
+const SYNC_RETRY_DELAYS = [2000, 5000, 15000, 60000];
+const SYNC_RETRY_ALARM_NAME = 'site-launcher-sync-retry';
+// How long a payload may stay half-written before this device stops waiting and pushes its own data
+// over it (the other device most likely stopped before writing its manifest)
+const SYNC_INCOMPLETE_TIMEOUT = 2 * 60 * 1000;
+
+// Local keys whose changes need to be pushed
+const SYNC_WATCHED_KEYS = ['sites', 'globalScripts', 'theme', 'iconSize', 'showEditOnHover', 'workspaces'];
+
+// Timers per alarm name, see scheduleSyncRun()
+const syncTimers = new Map();
+
+// Quotas are exposed on chrome.storage.sync; the fallbacks are Chrome's documented limits
+function getSyncQuota() {
+    const sync = chrome.storage.sync;
+    return {
+        perItem: sync.QUOTA_BYTES_PER_ITEM || 8192,
+        total: sync.QUOTA_BYTES || 102400,
+        maxItems: sync.MAX_ITEMS || 512
+    };
+}
+
+// Size of an item as chrome.storage.sync counts it: key plus JSON of the value, in bytes
+function getSyncItemSize(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+// FNV-1a, used to detect a payload read while another device was half-way through writing it
+function hashSyncPayload(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+}
+
+async function getSyncDeviceId() {
+    const result = await chrome.storage.local.get(['syncDeviceId']);
+    if (result.syncDeviceId) {
+        return result.syncDeviceId;
+    }
+    const syncDeviceId = generateUniqueId();
+    await chrome.storage.local.set({ syncDeviceId });
+    return syncDeviceId;
+}
+
+async function isSyncEnabled() {
+    const result = await chrome.storage.local.get(['syncEnabled']);
+    return result.syncEnabled === true;
+}
+
+async function setSyncStatus(status) {
+    const result = await chrome.storage.local.get(['syncStatus']);
+    await chrome.storage.local.set({ syncStatus: { ...(result.syncStatus || {}), ...status } });
+}
+
+// Uploaded images are far too big for sync and only exist in this device's image store
+// (older data may still hold them as data: URLs) - they stay on this device
+function getSyncableTheme(theme) {
+    if (!theme || (theme.type === 'image' && (theme.imageId || (typeof theme.value === 'string' && theme.value.startsWith('data:'))))) {
+        return null;
+    }
+    return theme;
+}
+
+// ========== Payload ==========
+
+// Collect everything that syncs from chrome.storage.local
+async function buildLocalSyncPayload() {
+    await migrateStorage();
+    const all = await chrome.storage.local.get(null);
+    const { workspaces, activeWorkspaceId } = await getWorkspaces();
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        settings: {
+            iconSize: all.iconSize ?? null,
+            showEditOnHover: all.showEditOnHover ?? null
+        },
+        workspaces: workspaces.map(workspace => {
+            const data = workspace.id === activeWorkspaceId
+                ? all
+                : (all[getWorkspaceStorageKey(workspace.id)] || {});
+            return {
+                id: workspace.id,
+                name: workspace.name,
+                createdAt: workspace.createdAt || null,
+                sites: data.sites || [],
+                globalScripts: data.globalScripts || [],
+                theme: getSyncableTheme(data.theme)
+            };
+        })
+    };
+}
+
+// Split a serialized payload into items that each fit the per-item quota
+function chunkSyncPayload(text) {
+    const { perItem } = getSyncQuota();
+    const chunks = [];
+    let offset = 0;
+
+    while (offset < text.length) {
+        const key = `${SYNC_CHUNK_PREFIX}${chunks.length}`;
+        // Start from a size that leaves room for escaping, then shrink until it fits
+        let length = Math.min(text.length - offset, Math.floor(perItem / 2));
+        while (length > 1 && getSyncItemSize(key, text.slice(offset, offset + length)) > perItem) {
+            length = Math.floor(length * 0.9);
+        }
+        // Grow back while there is room, so we don't waste items on mostly-ASCII data
+        while (offset + length < text.length) {
+            const next = Math.min(text.length - offset, length + 256);
+            if (getSyncItemSize(key, text.slice(offset, offset + next)) > perItem) break;
+            length = next;
+        }
+        chunks.push(text.slice(offset, offset + length));
+        offset += length;
+    }
+    return chunks;
+}
+
+// Read and reassemble the payload from chrome.storage.sync
+// Returns null when nothing was synced yet, { incomplete: true } while another device is half-way
+// through writing, else { manifest, payload }
+async function readRemoteSyncPayload() {
+    const { [SYNC_MANIFEST_KEY]: manifest } = await chrome.storage.sync.get([SYNC_MANIFEST_KEY]);
+    if (!manifest) {
+        return null;
+    }
+
+    const keys = Array.from({ length: manifest.chunkCount }, (_, i) => `${SYNC_CHUNK_PREFIX}${i}`);
+    const chunks = await chrome.storage.sync.get(keys);
+    const text = keys.map(key => chunks[key] || '').join('');
+
+    if (hashSyncPayload(text) !== manifest.hash) {
+        return { incomplete: true };
+    }
+    return { manifest, payload: JSON.parse(text) };
+}
+
+// Write the payload to chrome.storage.sync, throwing if it can't fit
+async function writeRemoteSyncPayload(payload) {
+    const text = JSON.stringify(payload);
+    const chunks = chunkSyncPayload(text);
+    const quota = getSyncQuota();
+    const manifest = {
+        chunkCount: chunks.length,
+        hash: hashSyncPayload(text),
+        deviceId: await getSyncDeviceId(),
+        updatedAt: Date.now()
+    };
+
+    const items = {};
+    chunks.forEach((chunk, i) => {
+        items[`${SYNC_CHUNK_PREFIX}${i}`] = chunk;
+    });
+
+    const totalSize = Object.entries(items).reduce((sum, [key, value]) => sum + getSyncItemSize(key, value), 0)
+        + getSyncItemSize(SYNC_MANIFEST_KEY, manifest);
+    if (totalSize > quota.total || chunks.length + 1 > quota.maxItems) {
+        throw new Error(`Your launcher data (${Math.ceil(totalSize / 1024)} KB) is larger than Chrome sync allows (${Math.floor(quota.total / 1024)} KB). Remove some sites or scripts to keep syncing.`);
+    }
+
+    const previous = await chrome.storage.sync.get([SYNC_MANIFEST_KEY]);
+    const previousCount = previous[SYNC_MANIFEST_KEY] ? previous[SYNC_MANIFEST_KEY].chunkCount : 0;
+
+    await chrome.storage.sync.set(items);
+    await chrome.storage.sync.set({ [SYNC_MANIFEST_KEY]: manifest });
+
+    // Drop chunks left over from a larger previous payload
+    if (previousCount > chunks.length) {
+        const stale = [];
+        for (let i = chunks.length; i < previousCount; i++) {
+            stale.push(`${SYNC_CHUNK_PREFIX}${i}`);
+        }
+        await chrome.storage.sync.remove(stale);
+    }
+
+    return { manifest, totalSize };
+}
+
+// ========== Merging ==========
+
+function isSameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Three-way merge of a single value: whichever side changed it since base wins, remote on a real conflict
+function mergeSyncValue(base, local, remote) {
+    if (isSameValue(local, base)) return remote;
+    if (isSameValue(remote, base)) return local;
+    return remote;
+}
+
+// Three-way merge of lists of records with an id (sites, global scripts, workspaces)
+// Records are merged one by one, so adding site A here and editing site B there keeps both changes.
+// An edit beats a delete; the remote order is kept and local additions are slotted in after their
+// local predecessor.
+function mergeSyncRecords(base, local, remote, mergeRecord = mergeSyncValue) {
+    const baseById = new Map((base || []).map(r => [r.id, r]));
+    const localById = new Map((local || []).map(r => [r.id, r]));
+    const remoteById = new Map((remote || []).map(r => [r.id, r]));
+
+    const merged = [];
+    (remote || []).forEach(remoteRecord => {
+        const baseRecord = baseById.get(remoteRecord.id);
+        const localRecord = localById.get(remoteRecord.id);
+
+        if (!localRecord) {
+            // Deleted here - keep the delete unless the other device edited it since
+            if (baseRecord && isSameValue(baseRecord, remoteRecord)) return;
+            merged.push(remoteRecord);
+            return;
+        }
+        merged.push(baseRecord ? mergeRecord(baseRecord, localRecord, remoteRecord) : mergeRecord(null, localRecord, remoteRecord));
+    });
+
+    (local || []).forEach((localRecord, index) => {
+        if (remoteById.has(localRecord.id)) return;
+
+        const baseRecord = baseById.get(localRecord.id);
+        // Deleted on the other device and not edited here - let the delete through
+        if (baseRecord && isSameValue(baseRecord, localRecord)) return;
+
+        // Added (or edited) here: put it after the record that precedes it locally
+        const previous = index > 0 ? local[index - 1] : null;
+        const position = previous ? merged.findIndex(r => r.id === previous.id) : -1;
+        merged.splice(position + 1, 0, localRecord);
+    });
+
+    return merged;
+}
+
+// Merge a whole sync payload
+function mergeSyncPayloads(base, local, remote) {
+    const baseWorkspaces = base ? base.workspaces : [];
+    const baseSettings = base ? base.settings : {};
+
+    const mergeWorkspace = (baseWorkspace, localWorkspace, remoteWorkspace) => {
+        const b = baseWorkspace || {};
+        return {
+            id: remoteWorkspace.id,
+            name: mergeSyncValue(b.name, localWorkspace.name, remoteWorkspace.name),
+            createdAt: remoteWorkspace.createdAt || localWorkspace.createdAt || null,
+            sites: mergeSyncRecords(b.sites, localWorkspace.sites, remoteWorkspace.sites),
+            globalScripts: mergeSyncRecords(b.globalScripts, localWorkspace.globalScripts, remoteWorkspace.globalScripts),
+            // No synced theme on either side means "keep whatever this device has"
+            theme: mergeSyncValue(b.theme, localWorkspace.theme, remoteWorkspace.theme)
+        };
+    };
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        settings: {
+            iconSize: mergeSyncValue(baseSettings.iconSize, local.settings.iconSize, remote.settings.iconSize),
+            showEditOnHover: mergeSyncValue(baseSettings.showEditOnHover, local.settings.showEditOnHover, remote.settings.showEditOnHover)
+        },
+        workspaces: mergeSyncRecords(baseWorkspaces, local.workspaces, remote.workspaces, mergeWorkspace)
+    };
+}
+
+// Write a merged payload into chrome.storage.local
+// local is the payload the merge started from; sites changed here since then are kept
+async function applySyncPayload(payload, local) {
+    await withStorageLock(WORKSPACES_LOCK_NAME, async () => {
+        const all = await chrome.storage.local.get(null);
+        const { workspaces, activeWorkspaceId } = await getWorkspaces();
+        const update = {};
+        const removals = [];
+
+        // Keep this device's active workspace even if another device deleted it
+        const mergedWorkspaces = payload.workspaces.map(({ id, name, createdAt }) => ({ id, name, createdAt }));
+        const activeWorkspace = workspaces.find(w => w.id === activeWorkspaceId);
+        if (!mergedWorkspaces.some(w => w.id === activeWorkspaceId) && activeWorkspace) {
+            mergedWorkspaces.unshift(activeWorkspace);
+        }
+        if (!isSameValue(mergedWorkspaces, workspaces)) {
+            update.workspaces = mergedWorkspaces;
+            update.activeWorkspaceId = activeWorkspaceId;
+        }
+
+        let activeSites = null;
+        payload.workspaces.forEach(workspace => {
+            if (workspace.id === activeWorkspaceId) {
+                if (!isSameValue(workspace.sites, all.sites || [])) {
+                    activeSites = workspace.sites;
+                }
+                if (!isSameValue(workspace.globalScripts, all.globalScripts || [])) {
+                    update.globalScripts = workspace.globalScripts;
+                }
+                if (workspace.theme && !isSameValue(workspace.theme, all.theme)) {
+                    update.theme = workspace.theme;
+                }
+                return;
+            }
+
+            const key = getWorkspaceStorageKey(workspace.id);
+            const parked = all[key] || {};
+            const next = {
+                sites: workspace.sites,
+                globalScripts: workspace.globalScripts,
+                // No synced theme (e.g. an uploaded image) keeps the one this device has
+                theme: workspace.theme || parked.theme || null,
+                trash: parked.trash || []
+            };
+            if (!isSameValue(next, parked)) {
+                update[key] = next;
+            }
+        });
+
+        // Workspaces deleted on another device
+        workspaces.forEach(workspace => {
+            if (workspace.id !== activeWorkspaceId && !payload.workspaces.some(w => w.id === workspace.id)) {
+                removals.push(getWorkspaceStorageKey(workspace.id));
+            }
+        });
+
+        if (payload.settings.iconSize !== null && payload.settings.iconSize !== all.iconSize) {
+            update.iconSize = payload.settings.iconSize;
+        }
+        if (payload.settings.showEditOnHover !== null && payload.settings.showEditOnHover !== all.showEditOnHover) {
+            update.showEditOnHover = payload.settings.showEditOnHover;
+        }
+
+        if (activeSites) {
+            // Merge inside the transaction, so a site edited here while syncing isn't overwritten
+            const localWorkspace = local.workspaces.find(w => w.id === activeWorkspaceId);
+            const builtSites = localWorkspace ? localWorkspace.sites : [];
+            await updateSites(sites => mergeSyncRecords(builtSites, sites, activeSites));
+        }
+        if (Object.keys(update).length > 0) {
+            await chrome.storage.local.set(update);
+        }
+        if (removals.length > 0) {
+            await chrome.storage.local.remove(removals);
+        }
+    });
+}
+
+// ========== Sync ==========
+
+// Bring local data and chrome.storage.sync in line: pull and merge what other devices wrote, then push
+function syncNow() {
+    return withStorageLock(SYNC_LOCK_NAME, async () => {
+        if (!(await isSyncEnabled())) {
+            return;
+        }
+
+        try {
+            const { syncBase = null } = await chrome.storage.local.get(['syncBase']);
+            let remote = await readRemoteSyncPayload();
+            if (remote && remote.incomplete) {
+                const { syncRetryState } = await chrome.storage.session.get(['syncRetryState']);
+                if (!syncRetryState || Date.now() - syncRetryState.since < SYNC_INCOMPLETE_TIMEOUT) {
+                    // Pushing now would overwrite what the other device is writing - read again a little later
+                    await scheduleSyncRetry();
+                    return;
+                }
+                // Nobody finished writing it - replace it with this device's data
+                console.warn('Sync payload stayed incomplete, pushing local data over it');
+                remote = null;
+            }
+            await clearSyncRetry();
+            let local = await buildLocalSyncPayload();
+
+            if (remote && remote.payload.schemaVersion > SCHEMA_VERSION) {
+                throw new Error('Another device uses a newer version of Site Launcher. Update the extension here to keep syncing.');
+            }
+
+            if (remote && !isSameValue(remote.payload, syncBase)) {
+                const merged = mergeSyncPayloads(syncBase, local, remote.payload);
+                await applySyncPayload(merged, local);
+                local = await buildLocalSyncPayload();
+            }
+
+            let bytesInUse;
+            if (!remote || !isSameValue(local, remote.payload)) {
+                ({ totalSize: bytesInUse } = await writeRemoteSyncPayload(local));
+            } else {
+                bytesInUse = await chrome.storage.sync.getBytesInUse(null);
+            }
+
+            await chrome.storage.local.set({ syncBase: local });
+            await setSyncStatus({
+                lastSyncedAt: Date.now(),
+                bytesInUse,
+                quotaBytes: getSyncQuota().total,
+                error: null
+            });
+        } catch (error) {
+            console.error('Sync failed:', error);
+            await setSyncStatus({ error: error.message });
+        }
+    });
+}
+
+// Run syncNow() after a delay. The alarm survives Chrome stopping the idle service worker (alarms fire
+// after 30 seconds at the earliest); the timer runs the sync on time while the worker is still awake.
+function scheduleSyncRun(alarmName, delay) {
+    clearTimeout(syncTimers.get(alarmName));
+    syncTimers.set(alarmName, setTimeout(() => runScheduledSync(alarmName), delay));
+    return chrome.alarms.create(alarmName, { when: Date.now() + delay });
+}
+
+function cancelScheduledSync(alarmName) {
+    clearTimeout(syncTimers.get(alarmName));
+    syncTimers.delete(alarmName);
+    return chrome.alarms.clear(alarmName);
+}
+
+async function runScheduledSync(alarmName) {
+    await cancelScheduledSync(alarmName);
+    await syncNow();
+}
+
+// Push local edits a moment after they happen, so bursts of writes become one sync write
+// (chrome.storage.sync also limits writes per minute)
+function scheduleSyncPush() {
+    return scheduleSyncRun(SYNC_PUSH_ALARM_NAME, SYNC_PUSH_DELAY);
+}
+
+// The retry state is kept in chrome.storage.session, so a restarted worker keeps backing off and
+// still knows since when the payload has been incomplete
+async function scheduleSyncRetry() {
+    const { syncRetryState = { since: Date.now(), count: 0 } } = await chrome.storage.session.get(['syncRetryState']);
+    const delay = SYNC_RETRY_DELAYS[Math.min(syncRetryState.count, SYNC_RETRY_DELAYS.length - 1)];
+    await chrome.storage.session.set({ syncRetryState: { ...syncRetryState, count: syncRetryState.count + 1 } });
+    await scheduleSyncRun(SYNC_RETRY_ALARM_NAME, delay);
+}
+
+async function clearSyncRetry() {
+    await cancelScheduledSync(SYNC_RETRY_ALARM_NAME);
+    await chrome.storage.session.remove('syncRetryState');
+}
+
+// Forget what was synced when sync is turned off, so turning it on again does a full merge
+async function disableSync() {
+    await cancelScheduledSync(SYNC_PUSH_ALARM_NAME);
+    await clearSyncRetry();
+    await chrome.storage.local.remove(['syncBase', 'syncStatus']);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SYNC_PUSH_ALARM_NAME || alarm.name === SYNC_RETRY_ALARM_NAME) {
+        runScheduledSync(alarm.name).catch(error => {
+            console.error('Scheduled sync failed:', error);
+        });
+    }
+});
+
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName === 'local') {
+        if (changes.syncEnabled) {
+            if (changes.syncEnabled.newValue === true) {
+                syncNow();
+            } else {
+                disableSync();
+            }
+            return;
+        }
+
+        if (changes.syncRequestedAt) {
+            syncNow();
+            return;
+        }
+
+        const touchesSyncedData = Object.keys(changes).some(key =>
+            SYNC_WATCHED_KEYS.includes(key) || key.startsWith(WORKSPACE_STORAGE_PREFIX));
+        if (touchesSyncedData && await isSyncEnabled()) {
+            scheduleSyncPush();
+        }
+        return;
+    }
+
+    if (areaName === 'sync' && changes[SYNC_MANIFEST_KEY]) {
+        const manifest = changes[SYNC_MANIFEST_KEY].newValue;
+        if (manifest && manifest.deviceId !== await getSyncDeviceId() && await isSyncEnabled()) {
+            syncNow();
+        }
+    }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    syncNow();
+});
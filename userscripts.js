@@ -0,0 +1,175 @@
+// Userscript (.user.js) import and export
+// Loaded by newtab.html
+//
+// Converts between global scripts and the userscripts Tampermonkey, Violentmonkey and Greasemonkey use.
+// A global script has a single domain pattern (host, or host and path, with * wildcards - see
+// matchesPattern() in background.js), while a userscript can list many @match and @include rules;
+// the first one that can be expressed is used and the rest are reported.
+
+const USERSCRIPT_RUN_AT_TIMINGS = {
+    'document-start': 'document_start',
+    'document-body': 'document_end',
+    'document-end': 'document_end',
+    'document-idle': 'document_idle'
+};
+
+const TIMING_ORDER = ['document_start', 'document_end', 'document_idle'];
+
+function isUserscript(text) {
+    return /^\s*\/\/\s*==UserScript==/m.test(text);
+}
+
+// Read the ==UserScript== header into { key: [values] }
+function parseUserscriptHeader(text) {
+    const match = /\/\/\s*==UserScript==([\s\S]*?)\/\/\s*==\/UserScript==/.exec(text);
+    if (!match) {
+        throw new Error('This file has no ==UserScript== header');
+    }
+
+    const header = {};
+    match[1].split('\n').forEach(line => {
+        const entry = /^\s*\/\/\s*@([\w:-]+)(?:\s+(.*?))?\s*$/.exec(line);
+        if (entry) {
+            const key = entry[1].toLowerCase();
+            (header[key] = header[key] || []).push(entry[2] || '');
+        }
+    });
+    return header;
+}
+
+// Turn a @match pattern or @include glob into a domain pattern, or null if it can't be expressed
+function userscriptRuleToDomainPattern(rule) {
+    if (rule === '<all_urls>') return '*';
+    // Regular expression @includes have no equivalent
+    if (/^\/.*\/[a-z]*$/i.test(rule)) return null;
+
+    const withoutScheme = rule.replace(/^[a-z*-]+:\/\//i, '');
+    const slash = withoutScheme.indexOf('/');
+    const host = (slash === -1 ? withoutScheme : withoutScheme.slice(0, slash)).replace(/:\d+$/, '') || '*';
+    const path = slash === -1 ? '' : withoutScheme.slice(slash);
+
+    // Patterns only look at the path, so a trailing query wildcard adds nothing
+    const trimmedPath = path.replace(/\?\*$/, '');
+    if (!trimmedPath || trimmedPath === '/' || trimmedPath === '/*' || trimmedPath === '*') {
+        return host;
+    }
+    return host + trimmedPath;
+}
+
+// Parse a .user.js file into a global script
+// Returns { script, warnings } - warnings list what couldn't be carried over
+function parseUserscript(text) {
+    const header = parseUserscriptHeader(text);
+    const warnings = [];
+
+    const rules = [...(header.match || []), ...(header.include || [])];
+    const patterns = [...new Set(rules.map(userscriptRuleToDomainPattern).filter(Boolean))];
+    if (patterns.length === 0) {
+        throw new Error(rules.length > 0
+            ? 'None of the @match or @include rules can be used as a domain pattern'
+            : 'The userscript has no @match or @include rule');
+    }
+    if (patterns.length > 1) {
+        warnings.push(`only the first of ${patterns.length} site rules (${patterns[0]}) is used`);
+    }
+    if ((header.exclude || []).length > 0 || (header['exclude-match'] || []).length > 0) {
+        warnings.push('@exclude rules are not supported');
+    }
+
+    const grants = (header.grant || []).filter(grant => grant && grant !== 'none');
+    if (grants.length > 0) {
+        warnings.push(`the script uses ${grants.join(', ')}, which only userscript managers provide`);
+    }
+    if ((header.require || []).length > 0) {
+        warnings.push('@require libraries are not loaded');
+    }
+
+    const runAt = (header['run-at'] || [])[0];
+    const code = text.replace(/\/\/\s*==UserScript==[\s\S]*?\/\/\s*==\/UserScript==\s*/, '').trim();
+
+    return {
+        script: {
+            id: generateUniqueId(),
+            name: (header.name || [])[0] || 'Imported userscript',
+            // Userscripts run on every matching page load, including reloads
+            whenToRun: 'navigating_in',
+            domainPattern: patterns[0],
+            onRefresh: true,
+            confirmPopup: false,
+            scripts: [{ timing: USERSCRIPT_RUN_AT_TIMINGS[runAt] || 'document_idle', code }],
+            createdAt: Date.now()
+        },
+        warnings
+    };
+}
+
+// The @match (or @include, for wildcards inside a name) lines for a domain pattern
+function domainPatternToUserscriptRules(domainPattern) {
+    const slash = domainPattern.indexOf('/');
+    const host = slash === -1 ? domainPattern : domainPattern.slice(0, slash);
+    const path = slash === -1 ? '/*' : domainPattern.slice(slash);
+    const paths = slash === -1 || path.endsWith('*') ? [path] : [path, `${path}?*`];
+
+    // @match only allows * as the whole host or as a leading *. label
+    const key = /^(\*|(\*\.)?[^*]+)$/.test(host) ? 'match' : 'include';
+    return paths.map(p => [key, `*://${host}${p}`]);
+}
+
+// Code blocks that run later than the script itself wait for their moment
+function wrapUserscriptBlock(code, timing, runAt) {
+    const indent = (text, spaces) => text.split('\n').map(line => (line ? ' '.repeat(spaces) + line : line)).join('\n');
+    if (timing === runAt || timing === 'document_start') {
+        return `(function () {\n${indent(code, 4)}\n})();`;
+    }
+
+    const waitFor = timing === 'document_end'
+        ? { pending: "document.readyState === 'loading'", event: 'DOMContentLoaded' }
+        : { pending: "document.readyState !== 'complete'", event: 'load' };
+    return [
+        '(function () {',
+        '    const run = () => {',
+        indent(code, 8),
+        '    };',
+        `    if (${waitFor.pending}) {`,
+        `        window.addEventListener('${waitFor.event}', run, { once: true });`,
+        '    } else {',
+        '        run();',
+        '    }',
+        '})();'
+    ].join('\n');
+}
+
+// Write code blocks as a userscript
+// options: { name, description, domainPattern }
+function buildUserscript(blocks, options) {
+    const timings = blocks.map(block => block.timing || 'document_end');
+    const runAt = TIMING_ORDER.find(timing => timings.includes(timing)) || 'document_end';
+
+    const header = [
+        ['name', options.name || 'Site Launcher script'],
+        ['namespace', 'site-launcher'],
+        ['version', '1.0'],
+        ['description', options.description || 'Exported from Site Launcher'],
+        ...domainPatternToUserscriptRules(options.domainPattern || '*'),
+        ['run-at', runAt.replace('_', '-')],
+        ['grant', 'none']
+    ];
+    const width = Math.max(...header.map(([key]) => key.length)) + 2;
+
+    return [
+        '// ==UserScript==',
+        ...header.map(([key, value]) => `// @${key.padEnd(width)}${String(value).replace(/\s*\n\s*/g, ' ')}`),
+        '// ==/UserScript==',
+        '',
+        blocks.length === 1 && timings[0] === runAt
+            ? blocks[0].code || ''
+            : blocks.map(block => wrapUserscriptBlock(block.code || '', block.timing || 'document_end', runAt)).join('\n\n'),
+        ''
+    ].join('\n');
+}
+
+// A file name for a userscript
+function getUserscriptFilename(name) {
+    const slug = String(name || 'script').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'script';
+    return `${slug}.user.js`;
+}
@@ -0,0 +1,298 @@
+// Import file validation
+// Loaded by newtab.html after storage.js and integrity.js
+//
+// validateImportData() checks an import dataset (before migration) against the shape the rest of
+// the extension relies on, and reports every problem with the path of the value at fault, e.g.
+// "sites[12].url is not a valid URL". An entry with a problem is left out of the returned data,
+// so the valid rest can still be imported.
+
+const SCRIPT_TIMINGS = ['document_start', 'document_end', 'document_idle'];
+const GLOBAL_SCRIPT_WHEN_TO_RUN = ['on_site_open', 'navigating_in', 'navigating_out'];
+const ICON_SIZE_RANGE = { min: 60, max: 150 };
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidId(value) {
+    return (typeof value === 'string' && value !== '') || Number.isFinite(value);
+}
+
+function isValidIconUrl(url) {
+    if (typeof url !== 'string') return false;
+    if (url.startsWith('data:image/')) return true;
+    try {
+        return ['http:', 'https:', 'chrome-extension:'].includes(new URL(url).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+// Errors in a site's or global script's code blocks
+function validateScriptBlocks(blocks, path, errors) {
+    if (!Array.isArray(blocks)) {
+        errors.push({ path, message: 'must be a list of code blocks' });
+        return;
+    }
+    blocks.forEach((block, index) => {
+        const blockPath = `${path}[${index}]`;
+        if (!isPlainObject(block)) {
+            errors.push({ path: blockPath, message: 'must be an object' });
+            return;
+        }
+        if (typeof block.code !== 'string') {
+            errors.push({ path: `${blockPath}.code`, message: 'must be text' });
+        }
+        if (block.timing !== undefined && !SCRIPT_TIMINGS.includes(block.timing)) {
+            errors.push({ path: `${blockPath}.timing`, message: `must be one of ${SCRIPT_TIMINGS.join(', ')}` });
+        }
+        ['runAlways', 'confirmPopup'].forEach(flag => {
+            if (block[flag] !== undefined && typeof block[flag] !== 'boolean') {
+                errors.push({ path: `${blockPath}.${flag}`, message: 'must be true or false' });
+            }
+        });
+    });
+}
+
+function validateSite(site, path) {
+    const errors = [];
+    if (!isPlainObject(site)) {
+        return [{ path, message: 'must be an object' }];
+    }
+    if (site.id !== undefined && !isValidId(site.id)) {
+        errors.push({ path: `${path}.id`, message: 'must be text or a number' });
+    }
+    if (typeof site.name !== 'string' || !site.name.trim()) {
+        errors.push({ path: `${path}.name`, message: 'is missing' });
+    }
+    if (site.url === undefined || site.url === '') {
+        errors.push({ path: `${path}.url`, message: 'is missing' });
+    } else if (!isSupportedSiteUrl(site.url)) {
+        errors.push({ path: `${path}.url`, message: 'is not a valid URL' });
+    }
+    if (site.iconUrl !== undefined && site.iconUrl !== '' && !isValidIconUrl(site.iconUrl)) {
+        errors.push({ path: `${path}.iconUrl`, message: 'is not a valid image URL' });
+    }
+    if (site.parentId !== undefined && site.parentId !== null && site.parentId !== '' && !isValidId(site.parentId)) {
+        errors.push({ path: `${path}.parentId`, message: 'must be text or a number' });
+    }
+    if (site.openMode !== undefined && !Object.prototype.hasOwnProperty.call(SITE_OPEN_MODES, site.openMode)) {
+        errors.push({ path: `${path}.openMode`, message: `must be one of ${Object.keys(SITE_OPEN_MODES).join(', ')}` });
+    }
+    if (site.switchToOpenTab !== undefined && site.switchToOpenTab !== 'never' && !Object.prototype.hasOwnProperty.call(TAB_SWITCH_MATCH_RULES, site.switchToOpenTab)) {
+        errors.push({ path: `${path}.switchToOpenTab`, message: `must be never or one of ${Object.keys(TAB_SWITCH_MATCH_RULES).join(', ')}` });
+    }
+    if (site.createdAt !== undefined && !Number.isFinite(site.createdAt)) {
+        errors.push({ path: `${path}.createdAt`, message: 'must be a timestamp' });
+    }
+    if (site.scripts !== undefined) {
+        validateScriptBlocks(site.scripts, `${path}.scripts`, errors);
+    }
+    return errors;
+}
+
+function validateGlobalScript(script, path) {
+    const errors = [];
+    if (!isPlainObject(script)) {
+        return [{ path, message: 'must be an object' }];
+    }
+    if (script.id !== undefined && !isValidId(script.id)) {
+        errors.push({ path: `${path}.id`, message: 'must be text or a number' });
+    }
+    if (script.name !== undefined && typeof script.name !== 'string') {
+        errors.push({ path: `${path}.name`, message: 'must be text' });
+    }
+    if (typeof script.domainPattern !== 'string' || !script.domainPattern.trim()) {
+        errors.push({ path: `${path}.domainPattern`, message: 'is missing' });
+    }
+    if (script.whenToRun !== undefined && !GLOBAL_SCRIPT_WHEN_TO_RUN.includes(script.whenToRun)) {
+        errors.push({ path: `${path}.whenToRun`, message: `must be one of ${GLOBAL_SCRIPT_WHEN_TO_RUN.join(', ')}` });
+    }
+    ['onRefresh', 'confirmPopup'].forEach(flag => {
+        if (script[flag] !== undefined && typeof script[flag] !== 'boolean') {
+            errors.push({ path: `${path}.${flag}`, message: 'must be true or false' });
+        }
+    });
+    if (script.scripts === undefined) {
+        errors.push({ path: `${path}.scripts`, message: 'is missing' });
+    } else {
+        validateScriptBlocks(script.scripts, `${path}.scripts`, errors);
+    }
+    return errors;
+}
+
+function validateTheme(theme, path) {
+    if (!isPlainObject(theme)) {
+        return [{ path, message: 'must be an object' }];
+    }
+    if (theme.type === 'color') {
+        return typeof theme.value === 'string' && theme.value ? [] : [{ path: `${path}.value`, message: 'must be a color' }];
+    }
+    if (theme.type === 'image') {
+        return (typeof theme.value === 'string' && theme.value) || (typeof theme.imageId === 'string' && theme.imageId)
+            ? []
+            : [{ path, message: 'must have an image URL (value) or an uploaded image (imageId)' }];
+    }
+    return [{ path: `${path}.type`, message: `"${theme.type}" is not a theme type (use color or image)` }];
+}
+
+// Validate one site list as a whole - ids must be unique and parents must be top-level sites in the same list
+// Returns the indexes of the sites to keep
+function validateSiteList(sites, path, errors) {
+    const invalid = new Set();
+    sites.forEach((site, index) => {
+        const siteErrors = validateSite(site, `${path}[${index}]`);
+        if (siteErrors.length > 0) {
+            errors.push(...siteErrors);
+            invalid.add(index);
+        }
+    });
+
+    // Sites with other problems still count here, so their sites are reported as inside them
+    const indexById = new Map();
+    sites.forEach((site, index) => {
+        if (!isPlainObject(site) || !isValidId(site.id)) return;
+        const id = String(site.id);
+        if (indexById.has(id)) {
+            errors.push({ path: `${path}[${index}].id`, message: `is the same as ${path}[${indexById.get(id)}].id` });
+            invalid.add(index);
+        } else {
+            indexById.set(id, index);
+        }
+    });
+
+    sites.forEach((site, index) => {
+        if (invalid.has(index) || !site.parentId) return;
+        const parentIndex = indexById.get(String(site.parentId));
+        if (parentIndex === undefined) {
+            errors.push({ path: `${path}[${index}].parentId`, message: 'does not match the id of any site' });
+            invalid.add(index);
+        } else if (parentIndex === index) {
+            errors.push({ path: `${path}[${index}].parentId`, message: 'is the site\'s own id' });
+            invalid.add(index);
+        } else if (sites[parentIndex].parentId) {
+            errors.push({ path: `${path}[${index}].parentId`, message: `points to ${path}[${parentIndex}], which is itself inside a folder` });
+            invalid.add(index);
+        }
+    });
+
+    // A folder that can't be imported takes its sites with it
+    sites.forEach((site, index) => {
+        if (invalid.has(index) || !site.parentId) return;
+        const parentIndex = indexById.get(String(site.parentId));
+        if (invalid.has(parentIndex)) {
+            errors.push({ path: `${path}[${index}]`, message: `is inside ${path}[${parentIndex}], which can't be imported` });
+            invalid.add(index);
+        }
+    });
+
+    return sites.map((_, index) => index).filter(index => !invalid.has(index));
+}
+
+// Validate the parts of a dataset that a workspace also has
+function validateDataset(data, path, errors) {
+    const valid = { ...data };
+    const prefix = path ? `${path}.` : '';
+
+    if (data.sites !== undefined) {
+        if (!Array.isArray(data.sites)) {
+            errors.push({ path: `${prefix}sites`, message: 'must be a list' });
+            delete valid.sites;
+        } else {
+            valid.sites = validateSiteList(data.sites, `${prefix}sites`, errors).map(index => data.sites[index]);
+        }
+    }
+
+    if (data.globalScripts !== undefined) {
+        if (!Array.isArray(data.globalScripts)) {
+            errors.push({ path: `${prefix}globalScripts`, message: 'must be a list' });
+            delete valid.globalScripts;
+        } else {
+            valid.globalScripts = data.globalScripts.filter((script, index) => {
+                const scriptErrors = validateGlobalScript(script, `${prefix}globalScripts[${index}]`);
+                errors.push(...scriptErrors);
+                return scriptErrors.length === 0;
+            });
+        }
+    }
+
+    if (data.theme !== undefined && data.theme !== null) {
+        const themeErrors = validateTheme(data.theme, `${prefix}theme`);
+        if (themeErrors.length > 0) {
+            errors.push(...themeErrors);
+            delete valid.theme;
+        }
+    }
+
+    return valid;
+}
+
+// Validate an import dataset
+// Returns { data, errors: [{ path, message }] } - data holds only what passed
+function validateImportData(data) {
+    const errors = [];
+    if (!isPlainObject(data)) {
+        return { data: {}, errors: [{ path: 'data', message: 'must be an object' }] };
+    }
+
+    const valid = validateDataset(data, '', errors);
+
+    if (data.iconSize !== undefined && data.iconSize !== null
+        && !(Number.isFinite(data.iconSize) && data.iconSize >= ICON_SIZE_RANGE.min && data.iconSize <= ICON_SIZE_RANGE.max)) {
+        errors.push({ path: 'iconSize', message: `must be a number from ${ICON_SIZE_RANGE.min} to ${ICON_SIZE_RANGE.max}` });
+        delete valid.iconSize;
+    }
+    if (data.showEditOnHover !== undefined && data.showEditOnHover !== null && typeof data.showEditOnHover !== 'boolean') {
+        errors.push({ path: 'showEditOnHover', message: 'must be true or false' });
+        delete valid.showEditOnHover;
+    }
+    if (data.customImages !== undefined) {
+        if (!Array.isArray(data.customImages)) {
+            errors.push({ path: 'customImages', message: 'must be a list' });
+            delete valid.customImages;
+        } else {
+            valid.customImages = data.customImages.filter((image, index) => {
+                const ok = typeof image === 'string' && image.startsWith('data:image/');
+                if (!ok) errors.push({ path: `customImages[${index}]`, message: 'is not an image' });
+                return ok;
+            });
+        }
+    }
+    if (data.images !== undefined) {
+        if (!Array.isArray(data.images)) {
+            errors.push({ path: 'images', message: 'must be a list' });
+            delete valid.images;
+        } else {
+            valid.images = data.images.filter((image, index) => {
+                const ok = isPlainObject(image) && typeof image.id === 'string' && typeof image.dataUrl === 'string' && image.dataUrl.startsWith('data:image/');
+                if (!ok) errors.push({ path: `images[${index}]`, message: 'is not a bundled image' });
+                return ok;
+            });
+        }
+    }
+    if (data.workspaces !== undefined) {
+        if (!Array.isArray(data.workspaces)) {
+            errors.push({ path: 'workspaces', message: 'must be a list' });
+            delete valid.workspaces;
+        } else {
+            valid.workspaces = [];
+            data.workspaces.forEach((workspace, index) => {
+                const path = `workspaces[${index}]`;
+                if (!isPlainObject(workspace)) {
+                    errors.push({ path, message: 'must be an object' });
+                    return;
+                }
+                if (workspace.name !== undefined && typeof workspace.name !== 'string') {
+                    errors.push({ path: `${path}.name`, message: 'must be text' });
+                }
+                valid.workspaces.push(validateDataset(workspace, path, errors));
+            });
+        }
+    }
+
+    return { data: valid, errors };
+}
+
+function formatValidationError(error) {
+    return `${error.path} ${error.message}`;
+}